@@ -1,8 +1,10 @@
 /**
  * Blood Donation - Backend Server
  * This server handles:
- * - Authentication (JWT)
+ * - Authentication (Firebase sign-in exchanged for JWT access tokens +
+ *   rotating refresh tokens)
  * - Donation management
+ * - Blog management
  *
  * Database: MongoDB
  * Middlewares: CORS, JWT Verification, Cookie Parsing
@@ -10,6 +12,7 @@
 
 require("dotenv").config();
 
+const crypto = require("crypto");
 const cors = require("cors");
 const helmet = require("helmet");
 const jwt = require("jsonwebtoken");
@@ -20,8 +23,176 @@ const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind Vercel's proxy; needed for the real client IP in req.ip
+app.set("trust proxy", 1);
+
+// How often a long-running server moves overdue pending requests to
+// "expired" (on Vercel the daily cron job in vercel.json does it)
+const EXPIRY_CHECK_INTERVAL_MS =
+  parseInt(process.env.EXPIRY_CHECK_INTERVAL_MS) || 15 * 60 * 1000;
+
+// CSV user imports: largest accepted file and row count
+const IMPORT_MAX_BYTES = "2mb";
+const IMPORT_ROW_LIMIT = 5000;
+
+// Contact form: at most this many messages per sender per window
+const MESSAGE_LIMIT = parseInt(process.env.MESSAGE_LIMIT) || 3;
+const MESSAGE_WINDOW_MS = 60 * 60 * 1000;
+
+// Event streams end before a serverless function's time limit; browsers
+// reconnect on their own and resume from the last event they received
+const EVENT_STREAM_MAX_MS =
+  (parseInt(process.env.EVENT_STREAM_MAX_SECONDS) || 50) * 1000;
+
+// Request limits for public endpoints, per IP and per account (see
+// utils/rateLimit.js). Counters live in MongoDB so every serverless
+// instance shares them; RATE_LIMIT_STORE=memory keeps them in process for
+// a single local server.
+const RATE_LIMITS = {
+  signup: {
+    windowMs: 60 * 60 * 1000,
+    ip: 10,
+    account: 3,
+    accountKey: (req) => req.body?.email,
+    message: "Too many sign-up attempts, please try again later",
+  },
+  message: {
+    windowMs: MESSAGE_WINDOW_MS,
+    ip: 10,
+    account: MESSAGE_LIMIT,
+    accountKey: (req) => req.body?.email,
+    message: "Too many messages, please try again later",
+  },
+  bloodRequest: {
+    windowMs: 60 * 60 * 1000,
+    ip: 20,
+    account: 10,
+    accountKey: (req) => req.user?.email || req.body?.requester?.email,
+    message: "Too many blood requests, please try again later",
+  },
+  userLookup: {
+    windowMs: 15 * 60 * 1000,
+    ip: 30,
+    message: "Too many lookups, please try again later",
+  },
+};
+
+// Soft-deleted users and requests are purged for good after this many days
+const DELETED_RETENTION_DAYS =
+  parseInt(process.env.DELETED_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// ?sort= choices for list routes, written as the ?order=desc sort;
+// ?order=asc flips every direction
+const USER_SORTS = {
+  // ObjectIds grow with insertion time and, unlike createdAt, always exist
+  createdAt: { _id: -1 },
+  name: { name: -1 },
+  lastDonationAt: { lastDonationAt: -1 },
+};
+const BLOOD_REQUEST_SORTS = {
+  urgency: { urgencyPriority: -1, requiredBy: 1, createdAt: -1 },
+  requiredBy: { requiredBy: -1 },
+  donationDate: { donationDate: -1 },
+  createdAt: { createdAt: -1 },
+};
+// Lists with a single order; ?order=asc still gives oldest first
+const NEWEST_FIRST_SORTS = { createdAt: { createdAt: -1 } };
+const DONATION_SORTS = { donatedAt: { donatedAt: -1 } };
+
 // Import utility functions
-const { respond, getBloodGroupQuery, paginate } = require("./utils/helpers");
+const {
+  respond,
+  getBloodGroupQuery,
+  getCompatibleDonorQuery,
+  getDeletedQuery,
+  combineQueries,
+  getListOptions,
+  paginate,
+} = require("./utils/helpers");
+const { getEligibility, getEligibilityQuery } = require("./utils/eligibility");
+const {
+  getAvailability,
+  getAvailabilityQuery,
+  getDonationMoment,
+  getDonationDeadline,
+} = require("./utils/availability");
+const {
+  REQUEST_STATUSES,
+  TRANSITIONS,
+  URGENCY_PRIORITY,
+  checkTransition,
+} = require("./utils/requestStatus");
+const { BLOG_STATUSES, sanitizeContent, slugify } = require("./utils/blog");
+const { validate, validateBody } = require("./utils/validation");
+const { isCompatible } = require("./utils/compatibility");
+const { LOCATION_DOCUMENTS, getLocationQuery } = require("./utils/locations");
+const {
+  createLogChannel,
+  createNotificationService,
+} = require("./utils/notifications");
+const {
+  createEventHub,
+  createMemoryTransport,
+  createMongoTransport,
+} = require("./utils/events");
+const { createAuditLog } = require("./utils/audit");
+const {
+  serializeUser,
+  serializeDonorStatus,
+  serializeBloodRequest,
+} = require("./utils/privacy");
+const { parseCsv } = require("./utils/csv");
+const {
+  EXPORT_FIELDS,
+  EXPORT_FORMATS,
+  streamExport,
+} = require("./utils/export");
+const { readUserRows } = require("./utils/import");
+const {
+  createMemoryStore,
+  createMongoStore,
+  createRateLimiter,
+} = require("./utils/rateLimit");
+const {
+  userCountsPipeline,
+  requestCountsPipeline,
+  donationsPerMonthPipeline,
+  demandPipeline,
+  supplyPipeline,
+  mergeDemandSupply,
+  toCountMap,
+} = require("./utils/stats");
+const {
+  userSchema,
+  userStatusSchema,
+  userRoleSchema,
+  deferralSchema,
+  availabilitySchema,
+  bloodRequestSchema,
+  BLOOD_REQUEST_EDITABLE,
+  bloodRequestUpdateSchema,
+  assignVolunteerSchema,
+  BULK_LIMIT,
+  bulkUserSchema,
+  bulkBloodRequestSchema,
+  messageSchema,
+  MESSAGE_STATUSES,
+  messageNoteSchema,
+  messageReplySchema,
+  messageAssignSchema,
+  messageArchiveSchema,
+  blogSchema,
+  blogStatusSchema,
+} = require("./utils/schemas");
+const {
+  verifyIdToken,
+  signAccessToken,
+  hashToken,
+  createRefreshToken,
+  setAuthCookies,
+  clearAuthCookies,
+} = require("./utils/auth");
 
 /**
  * =========================
@@ -72,49 +243,98 @@ const verifyToken = (req, res, next) => {
   });
 };
 
-// Verify admin role
-const verifyAdmin = async (req, res, next) => {
-  const email = req.decoded?.email;
-  if (!email) {
-    return respond(res, 401, "Unauthorized access - email not found");
-  }
-  try {
-    const user = await userCollection.findOne({
-      email,
-      role: "admin",
-    })
-    if (!user) {
-      return respond(res, 403, "Forbidden - Admin access required");
+/**
+ * Resolve the caller from the verified token and optionally require a role.
+ * Must run after verifyToken. The role always comes from userCollection,
+ * never from the request, and the user document is exposed as req.user.
+ * @param {...string} roles - Allowed roles (none = any signed-in user)
+ */
+const verifyRole =
+  (...roles) =>
+  async (req, res, next) => {
+    const email = req.decoded?.email;
+    if (!email) {
+      return respond(res, 401, "Unauthorized access - email not found");
     }
-    next();
-  } catch (error) {
-    console.error("Error verifying admin:", error);
-    return respond(res, 500, "Server error while verifying admin");
-    
+    try {
+      const user = await userCollection.findOne({
+        email,
+        ...getDeletedQuery(),
+      });
+      if (!user) {
+        return respond(res, 401, "Unauthorized access - user not found");
+      }
+      if (user.accountStatus === "blocked") {
+        return respond(res, 403, "Forbidden - Account is blocked");
+      }
+
+      user.role = user.role || "donor";
+      if (roles.length && !roles.includes(user.role)) {
+        return respond(
+          res,
+          403,
+          `Forbidden - ${roles.join(" or ")} access required`
+        );
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error("Error verifying role:", error);
+      return respond(res, 500, "Server error while verifying role");
+    }
+  };
+
+const isStaff = (user) => ["admin", "volunteer"].includes(user?.role);
+
+// Scheduled job routes are only run by Vercel cron, which sends
+// "Authorization: Bearer <CRON_SECRET>"
+const verifyCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return respond(res, 503, "Scheduled jobs are not configured");
   }
-}
 
-// Verify volunteer role
-const verifyVolunteer = async (req, res, next) => {
-  const email = req.decoded?.email;
-  if (!email) {
-    return respond(res, 401, "Unauthorized access - email not found");
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || "");
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return respond(res, 401, "Unauthorized access");
+  }
+  next();
+};
+
+// includeDeleted=true is only honoured for admins
+const wantsDeleted = (req) =>
+  req.query.includeDeleted === "true" && req.user?.role === "admin";
+
+// Attach req.user when a valid token is present, but never reject the request
+const optionalAuth = async (req, res, next) => {
+  let token = req.cookies?.token;
+  const authHeader = req.headers.authorization;
+  if (!token && authHeader?.startsWith("Bearer ")) {
+    token = authHeader.split(" ")[1];
   }
+  if (!token) return next();
+
   try {
+    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRETE);
     const user = await userCollection.findOne({
-      email,
-      role: "volunteer",
+      email: decoded.email,
+      ...getDeletedQuery(),
     });
-    if (!user) {
-      return respond(res, 403, "Forbidden - Volunteer access required");
+    if (user && user.accountStatus !== "blocked") {
+      user.role = user.role || "donor";
+      req.decoded = decoded;
+      req.user = user;
     }
-    next();
   } catch (error) {
-    console.error("Error verifying volunteer:", error);
-    return respond(res, 500, "Server error while verifying volunteer");
+    // Invalid or expired tokens are treated as anonymous
   }
-}
-
+  next();
+};
 
 app.use(
   cors({
@@ -143,6 +363,628 @@ const bloodRequestsCollection = db.collection("blood-requests");
 const donationCollection = db.collection("donations");
 const blogCollection = db.collection("blogs");
 const messageCollection = db.collection("messages");
+const refreshTokenCollection = db.collection("refresh-tokens");
+const locationCollection = db.collection("locations");
+const notificationCollection = db.collection("notifications");
+const auditCollection = db.collection("audit-logs");
+const rateLimitCollection = db.collection("rate-limits");
+const eventCollection = db.collection("events");
+
+const rateLimiter = createRateLimiter({
+  store:
+    process.env.RATE_LIMIT_STORE === "memory"
+      ? createMemoryStore()
+      : createMongoStore({ collection: rateLimitCollection }),
+});
+
+const auditLog = createAuditLog({ collection: auditCollection });
+
+/**
+ * Append an audit entry for the current request's caller
+ * @param {object} req - Express request (req.user set when signed in)
+ * @param {object} entry - { action, target, before, after }
+ * @returns {Promise<void>}
+ */
+const audit = (req, entry) =>
+  auditLog.record({ actor: req.user || null, ip: req.ip, ...entry });
+
+// Email/SMS providers plug in here as extra channels
+const notifications = createNotificationService({
+  collection: notificationCollection,
+  channels: [createLogChannel()],
+});
+// Exposed so tests can swap in a memory channel
+app.locals.notifications = notifications;
+
+// Live updates pushed to dashboards over Server-Sent Events. Events travel
+// through MongoDB so every serverless instance delivers them;
+// EVENT_TRANSPORT=memory keeps them in process for a single local server.
+const events = createEventHub({
+  transport:
+    process.env.EVENT_TRANSPORT === "memory"
+      ? createMemoryTransport()
+      : createMongoTransport({ collection: eventCollection }),
+  maxStreamMs: EVENT_STREAM_MAX_MS,
+});
+
+const STATUS_NOTIFICATION_TEXT = {
+  pending: "was reopened",
+  inprogress: "is now in progress",
+  completed: "was marked as completed",
+  cancelled: "was cancelled",
+  expired: "expired before it was fulfilled",
+  "fulfilled-elsewhere": "was fulfilled elsewhere",
+};
+
+/**
+ * Tell the requester and donor about a status change, except whoever made it
+ * @param {object} request - Updated blood request document
+ * @param {string} actorEmail - Email of the user who made the change
+ * @returns {Promise<void>}
+ */
+const notifyStatusChange = async (request, actorEmail) => {
+  const status = request.status.current;
+  const recipients = [request.requester?.email, request.donor?.email].filter(
+    (email) => email && email !== actorEmail
+  );
+
+  await Promise.all(
+    recipients.map((recipientEmail) =>
+      notifications.notify({
+        recipientEmail,
+        type: `request.${status}`,
+        title: "Blood request update",
+        body: `The blood request for ${
+          request.recipientName || "a patient"
+        } ${STATUS_NOTIFICATION_TEXT[status] || `is now ${status}`}`,
+        data: { requestId: request._id, status },
+      })
+    )
+  );
+};
+
+/**
+ * Issue a fresh access/refresh token pair and set them as cookies
+ * @param {object} res - Express response object
+ * @param {object} user - User document
+ * @param {string} [familyId] - Refresh token family when rotating (optional)
+ * @returns {Promise<string>} - Hash of the newly stored refresh token
+ */
+const issueTokens = async (res, user, familyId) => {
+  const accessToken = signAccessToken(user);
+  const { token: refreshToken, record } = createRefreshToken(user, familyId);
+
+  await refreshTokenCollection.insertOne(record);
+  setAuthCookies(res, accessToken, refreshToken);
+  return record.tokenHash;
+};
+
+/**
+ * Record the donation behind a completed blood request.
+ * Keyed by requestId so completing the same request twice never
+ * creates a second record. Also bumps the donor's lastDonationAt.
+ * @param {object} request - Completed blood request document
+ * @param {string} completedAt - ISO timestamp of the completion
+ * @param {object} [session] - MongoDB session when inside a transaction
+ * @returns {Promise<void>}
+ */
+const recordDonation = async (request, completedAt, session) => {
+  const donor = request.donor?.email
+    ? await userCollection.findOne({ email: request.donor.email }, { session })
+    : null;
+
+  if (!donor) {
+    console.warn(`No donor account found for request ${request._id}`);
+    return;
+  }
+
+  // Older requests may carry a donationDate that does not parse
+  const donationDate = new Date(request.donationDate);
+  const donatedAt =
+    request.donationDate && !isNaN(donationDate)
+      ? donationDate.toISOString()
+      : completedAt;
+
+  await donationCollection.updateOne(
+    { requestId: request._id },
+    {
+      $setOnInsert: {
+        requestId: request._id,
+        donorId: donor._id,
+        donor: { name: donor.name, email: donor.email },
+        recipientName: request.recipientName || null,
+        bloodGroup: request.bloodGroup || donor.bloodGroup || null,
+        units: parseInt(request.units) || 1,
+        hospital: {
+          name: request.hospitalName || null,
+          address: request.fullAddress || null,
+        },
+        status: "completed",
+        donatedAt,
+        createdAt: completedAt,
+      },
+    },
+    { upsert: true, session }
+  );
+
+  await userCollection.updateOne(
+    { _id: donor._id },
+    { $max: { lastDonationAt: donatedAt } },
+    { session }
+  );
+};
+
+/**
+ * Write a state machine action to a blood request, without side effects.
+ * The update only matches while the request is still in the status the
+ * check ran against, so two concurrent transitions cannot both succeed.
+ * @param {object} request - Current blood request document
+ * @param {string} action - Key of TRANSITIONS
+ * @param {object} actor - { email, name, role, ip } or { system: true }
+ * @param {object} [changes] - Extra fields to $set with the transition
+ * @param {object} [session] - MongoDB session when inside a transaction
+ * @returns {Promise<object>} - { ok, request, before, action, actor, to,
+ *   changedAt, changedBy } or { ok: false, status, message }
+ */
+const applyTransition = async (request, action, actor, changes, session) => {
+  const check = checkTransition(action, request, actor, changes);
+  if (!check.ok) return check;
+
+  const changedAt = new Date().toISOString();
+  const changedBy = actor.system
+    ? { name: "System", role: "system" }
+    : { email: actor.email, name: actor.name, role: actor.role };
+
+  let updated;
+  try {
+    updated = await bloodRequestsCollection.findOneAndUpdate(
+      { _id: request._id, "status.current": check.from },
+      {
+        $set: {
+          ...changes,
+          "status.current": check.to,
+          updatedAt: changedAt,
+        },
+        $push: {
+          "status.history": { status: check.to, changedAt, changedBy },
+        },
+      },
+      { returnDocument: "after", session }
+    );
+  } catch (error) {
+    const conflict = assignmentConflictMessage(error);
+    if (conflict) return { ok: false, status: 409, message: conflict };
+    throw error;
+  }
+
+  if (!updated) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Request status was changed by someone else, please retry",
+    };
+  }
+
+  return {
+    ok: true,
+    request: updated,
+    before: request,
+    action,
+    actor,
+    to: check.to,
+    changedAt,
+    changedBy,
+  };
+};
+
+/**
+ * Audit and announce a transition written by applyTransition
+ * @param {object} result - Successful applyTransition result
+ * @returns {Promise<void>}
+ */
+const publishTransition = async (result) => {
+  const { request: updated, before, action, actor, to } = result;
+
+  await auditLog.record({
+    actor,
+    action: `request.${action}`,
+    target: { type: "blood-request", id: updated._id },
+    before,
+    after: updated,
+    ip: actor.ip,
+  });
+
+  await notifyStatusChange(updated, actor.email);
+  await events.publish(
+    "request.status",
+    { requestId: updated._id, status: to, changedBy: result.changedBy },
+    { emails: [updated.requester?.email, updated.donor?.email] }
+  );
+};
+
+/**
+ * Apply a state machine action to a blood request and run its side
+ * effects (audit, donation record, notifications, live events).
+ * Completing a request and recording its donation commit together, so a
+ * completed request never lacks its donation record.
+ * @param {object} request - Current blood request document
+ * @param {string} action - Key of TRANSITIONS
+ * @param {object} actor - { email, name, role, ip } or { system: true }
+ * @param {object} [changes] - Extra fields to $set with the transition
+ * @returns {Promise<object>} - { ok, request } or { ok: false, status, message }
+ */
+const transitionRequest = async (request, action, actor, changes) => {
+  const result =
+    TRANSITIONS[action]?.to === "completed"
+      ? await withOptionalTransaction(async (session) => {
+          const applied = await applyTransition(
+            request,
+            action,
+            actor,
+            changes,
+            session
+          );
+          if (applied.ok) {
+            await recordDonation(applied.request, applied.changedAt, session);
+          }
+          return applied;
+        })
+      : await applyTransition(request, action, actor, changes);
+  if (!result.ok) return result;
+
+  await publishTransition(result);
+  return {
+    ok: true,
+    request: result.request,
+    message: TRANSITIONS[action].message,
+  };
+};
+
+/**
+ * Run work in a transaction when the deployment supports one (replica
+ * sets, Atlas). On a standalone server the work runs without a session.
+ * @param {Function} work - async (session) => result; may be retried
+ * @returns {Promise<any>} - Result of the last (committed) run of work
+ */
+const withOptionalTransaction = async (work) => {
+  const session = client.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    // IllegalOperation: transactions need a replica set member or mongos
+    if (error?.code !== 20) throw error;
+    return work(undefined);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Map a duplicate key error from the donor assignment indexes to a message
+ * @param {object} error - Error thrown by the MongoDB driver
+ * @returns {string|null} - Conflict message, null if not an assignment clash
+ */
+const assignmentConflictMessage = (error) => {
+  if (error?.code !== 11000) return null;
+
+  if (error.keyPattern?.["requester.email"]) {
+    return "This donor is already assisting with your active request";
+  }
+  return "This donor is currently helping another patient";
+};
+
+/**
+ * Resolve the records a bulk operation acts on, from a list of ids or a
+ * filter (never both). Soft-deleted records are never selected.
+ * @param {object} collection - MongoDB collection
+ * @param {string[]} [ids] - Record IDs as sent by the client
+ * @param {object} [filter] - MongoDB filter built from the request filter
+ * @returns {Promise<object>} - { items: [{ id, doc }] } (doc null when not
+ *   found) or { error }
+ */
+const selectBulkTargets = async (collection, ids, filter) => {
+  if (!ids === !filter) {
+    return { error: "Provide either ids or filter" };
+  }
+
+  if (ids) {
+    const unique = [...new Set(ids)];
+    if (!unique.length) return { error: "ids must not be empty" };
+    const docs = await collection
+      .find({
+        _id: {
+          $in: unique.filter(ObjectId.isValid).map((id) => new ObjectId(id)),
+        },
+        ...getDeletedQuery(),
+      })
+      .toArray();
+    const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+    return { items: unique.map((id) => ({ id, doc: byId.get(id) || null })) };
+  }
+
+  if (!Object.keys(filter).length) {
+    return { error: "filter needs at least one field" };
+  }
+  const docs = await collection
+    .find({ ...filter, ...getDeletedQuery() })
+    .limit(BULK_LIMIT + 1)
+    .toArray();
+  if (docs.length > BULK_LIMIT) {
+    return {
+      error: `The filter matches more than ${BULK_LIMIT} records, please narrow it down`,
+    };
+  }
+  return { items: docs.map((doc) => ({ id: doc._id.toString(), doc })) };
+};
+
+/**
+ * Respond with per-item bulk results and success/failure counts
+ * @param {object} res - Express response object
+ * @param {object[]} results - [{ id, ok, message }]
+ * @param {boolean} dryRun - Whether nothing was written
+ * @returns {object} - Formatted JSON response
+ */
+const respondBulk = (res, results, dryRun) => {
+  const succeeded = results.filter((r) => r.ok).length;
+  return respond(
+    res,
+    200,
+    dryRun
+      ? "Dry run completed, nothing was changed"
+      : "Bulk operation completed",
+    results,
+    {
+      dryRun,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+    }
+  );
+};
+
+/**
+ * Whether a donor is available when a blood request needs them. Without a
+ * donation time any availability window on the donation day is enough.
+ * @param {object} donor - User document
+ * @param {object} request - Blood request (donationDate, donationTime)
+ * @returns {{ available: boolean, availableFrom: string|null, reason: string|null }}
+ */
+const getRequestAvailability = (donor, request) => {
+  const moment = getDonationMoment(request.donationDate, request.donationTime);
+  return getAvailability(donor, moment || new Date(), {
+    wholeDay: Boolean(moment && !request.donationTime),
+  });
+};
+
+/**
+ * Read ?availableAt= (default now) and ?includeUnavailable= (staff only)
+ * @param {object} req - Express request
+ * @returns {object} - { at } (null when not filtering), or { error }
+ */
+const getAvailabilityFilter = (req) => {
+  const { availableAt, includeUnavailable } = req.query;
+  if (includeUnavailable === "true" && isStaff(req.user)) return { at: null };
+
+  const at = availableAt ? new Date(availableAt) : new Date();
+  if (isNaN(at)) return { error: "availableAt must be a valid date" };
+  return { at };
+};
+
+/**
+ * Filter behind GET /users, shared with the users export
+ * @param {object} req - Express request (query, optional req.user)
+ * @returns {object} - { query } or { error }
+ */
+const buildUserQuery = (req) => {
+  const {
+    bloodGroup,
+    compatibleWith,
+    component = "redCells",
+    eligibleOnly,
+  } = req.query;
+  const staff = isStaff(req.user);
+  // Only staff can search blocked accounts or see hidden donors
+  const accountStatus = staff ? req.query.accountStatus || "active" : "active";
+
+  // Donors unavailable at the requested time (default: now) are left out
+  const availability = getAvailabilityFilter(req);
+  if (availability.error) return { error: availability.error };
+
+  const location = getLocationQuery(req.query);
+  if (location.error) return { error: location.error };
+
+  // compatibleWith returns every donor who can give to the patient;
+  // otherwise bloodGroup is an exact (Rh-aware) match
+  let bloodGroupQuery = getBloodGroupQuery(bloodGroup);
+  if (compatibleWith) {
+    bloodGroupQuery = getCompatibleDonorQuery(compatibleWith, component);
+    if (!bloodGroupQuery) {
+      return {
+        error:
+          "compatibleWith must be a full blood group (e.g. A-) and component one of redCells, plasma, platelets",
+      };
+    }
+  }
+
+  return {
+    query: {
+      accountStatus,
+      ...bloodGroupQuery,
+      ...location.query,
+      ...combineQueries(
+        eligibleOnly === "true" && getEligibilityQuery(),
+        availability.at && getAvailabilityQuery(availability.at)
+      ),
+      ...(!staff && { hideFromSearch: { $ne: true } }),
+      ...getDeletedQuery(wantsDeleted(req)),
+    },
+  };
+};
+
+/**
+ * Filter behind GET /blood-requests, shared with the requests export.
+ * Admins and volunteers can see all requests; everyone else only sees
+ * requests where they're requester, donor or a volunteer.
+ * @param {object} req - Express request (query, req.user)
+ * @returns {object} - { query } or { error }
+ */
+const buildBloodRequestQuery = (req) => {
+  const { status, bloodGroup } = req.query;
+  const { email } = req.user;
+
+  if (status && !REQUEST_STATUSES.includes(status)) {
+    return { error: `status must be one of ${REQUEST_STATUSES.join(", ")}` };
+  }
+
+  const location = getLocationQuery(req.query);
+  if (location.error) return { error: location.error };
+
+  return {
+    query: {
+      ...getDeletedQuery(wantsDeleted(req)),
+      ...(status && { "status.current": status }),
+      ...getBloodGroupQuery(bloodGroup),
+      ...location.query,
+      ...(!isStaff(req.user) && {
+        $or: [
+          { "requester.email": email },
+          { "donor.email": email },
+          { "volunteers.email": email },
+        ],
+      }),
+    },
+  };
+};
+
+/**
+ * Filter behind GET /donations (staff see all, donors see their own),
+ * shared with the donations export
+ * @param {object} req - Express request (query, req.user)
+ * @returns {object} - { query } or { error }
+ */
+const buildDonationQuery = (req) => {
+  const { donorId, status } = req.query;
+
+  const query = {};
+  if (isStaff(req.user)) {
+    if (donorId) {
+      if (!ObjectId.isValid(donorId)) {
+        return { error: "Invalid donor ID format" };
+      }
+      query.donorId = new ObjectId(donorId);
+    }
+  } else {
+    query.donorId = req.user._id;
+  }
+  if (status) query.status = status;
+  return { query };
+};
+
+/**
+ * Donors a viewer may see contact details of: those who accepted one of the
+ * viewer's requests, or were asked in a pending request the viewer created
+ * while signed in. Anonymous requests name an unverified requester, so
+ * they never grant access. Staff see every contact anyway.
+ * @param {object|null} viewer - Signed-in user (req.user)
+ * @returns {Promise<Set<string>>} - Donor emails
+ */
+const getContactEmails = async (viewer) => {
+  if (!viewer || isStaff(viewer)) return new Set();
+
+  const emails = await bloodRequestsCollection.distinct("donor.email", {
+    "requester.email": viewer.email,
+    $or: [
+      { "status.current": "inprogress" },
+      { "status.current": "pending", "requester.userId": viewer._id },
+    ],
+    ...getDeletedQuery(),
+  });
+  return new Set(emails);
+};
+
+/**
+ * Expire every pending request whose requiredBy deadline has passed.
+ * Requests created before requiredBy existed expire once their whole
+ * donation day is over.
+ * Runs through the state machine as the system actor, so each request
+ * gets a status.history entry and the usual notifications.
+ * @returns {Promise<number>} - Number of requests expired
+ */
+const expireOverdueRequests = async () => {
+  const now = new Date();
+  const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const overdue = await bloodRequestsCollection
+    .find({
+      "status.current": "pending",
+      $or: [
+        { requiredBy: { $lt: now.toISOString() } },
+        // ISO date strings compare in date order; other formats are skipped
+        {
+          requiredBy: null,
+          donationDate: {
+            $lt: dayAgo.toISOString(),
+            $regex: /^\d{4}-\d{2}-\d{2}/,
+          },
+        },
+        { requiredBy: null, donationDate: { $lt: dayAgo } },
+      ],
+      ...getDeletedQuery(),
+    })
+    .toArray();
+
+  let expired = 0;
+  for (const request of overdue) {
+    const result = await transitionRequest(request, "expire", { system: true });
+    if (result.ok) expired++;
+  }
+  return expired;
+};
+
+/**
+ * Permanently remove users and requests that were soft-deleted more than
+ * DELETED_RETENTION_DAYS ago. Each removed document is audited first.
+ * @returns {Promise<number>} - Number of documents removed
+ */
+const purgeDeletedRecords = async () => {
+  const cutoff = new Date(
+    Date.now() - DELETED_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+  const targets = [
+    { collection: userCollection, type: "user", action: "user.purge" },
+    {
+      collection: bloodRequestsCollection,
+      type: "blood-request",
+      action: "request.purge",
+    },
+  ];
+
+  let purged = 0;
+  for (const { collection, type, action } of targets) {
+    const expired = await collection
+      .find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .toArray();
+    if (!expired.length) continue;
+
+    for (const doc of expired) {
+      await auditLog.record({
+        actor: { system: true },
+        action,
+        target: { type, id: doc._id },
+        before: doc,
+        after: null,
+      });
+    }
+    const result = await collection.deleteMany({
+      _id: { $in: expired.map((doc) => doc._id) },
+    });
+    purged += result.deletedCount;
+  }
+  return purged;
+};
 
 async function run() {
   try {
@@ -161,611 +1003,3322 @@ async function run() {
         },
       },
       { key: { email: 1 } },
+      {
+        key: {
+          "location.divisionId": 1,
+          "location.districtId": 1,
+          "location.upazilaId": 1,
+        },
+      },
+      { key: { geo: "2dsphere" } },
+      { key: { deletedAt: 1 } },
     ]);
 
     await bloodRequestsCollection.createIndexes([
       { key: { donationStatus: 1 } },
       { key: { donorId: 1 } },
+      { key: { hospitalGeo: "2dsphere" } },
+      { key: { "status.current": 1, requiredBy: 1 } },
+      { key: { "status.current": 1, donationDate: 1 } },
+      { key: { isOpen: 1, "status.current": 1, urgencyPriority: -1 } },
+      { key: { urgencyPriority: -1, requiredBy: 1, createdAt: -1 } },
+      { key: { deletedAt: 1 } },
     ]);
 
+    // Uniqueness of active donor assignments is enforced by the database so
+    // concurrent writes cannot double-book a donor. Partial filters with $in
+    // need MongoDB 6.0+. The server does not start without these indexes;
+    // existing duplicates are released by scripts/resolve-duplicate-assignments.js
+    try {
+      await bloodRequestsCollection.createIndexes([
+        {
+          key: { "donor.email": 1 },
+          name: "unique_inprogress_donor",
+          unique: true,
+          partialFilterExpression: {
+            "donor.email": { $type: "string" },
+            "status.current": "inprogress",
+          },
+        },
+        {
+          key: { "requester.email": 1, "donor.email": 1 },
+          name: "unique_active_requester_donor",
+          unique: true,
+          partialFilterExpression: {
+            "donor.email": { $type: "string" },
+            "status.current": { $in: ["pending", "inprogress"] },
+          },
+        },
+      ]);
+    } catch (error) {
+      throw new Error(
+        "Could not create the donor assignment indexes. MongoDB 6.0+ is required, and duplicate active assignments must be released first: run `npm run resolve:assignments -- --dry-run` to list them, then without --dry-run to fix them",
+        { cause: error }
+      );
+    }
+
     await donationCollection.createIndexes([
       { key: { requestId: 1 } },
       { key: { donorId: 1 } },
       { key: { status: 1 } },
+      { key: { donorId: 1, donatedAt: -1 } },
     ]);
 
-    // POST: Create a new user
-    app.post("/users", async (req, res) => {
+    await locationCollection.createIndexes([
+      { key: { type: 1, id: 1 }, unique: true },
+      { key: { type: 1, parentId: 1 } },
+    ]);
+
+    // Seed the Bangladesh location reference data (idempotent upserts)
+    if (
+      (await locationCollection.countDocuments()) !== LOCATION_DOCUMENTS.length
+    ) {
+      await locationCollection.bulkWrite(
+        LOCATION_DOCUMENTS.map((doc) => ({
+          updateOne: {
+            filter: { type: doc.type, id: doc.id },
+            update: { $set: doc },
+            upsert: true,
+          },
+        }))
+      );
+      console.log(`Seeded ${LOCATION_DOCUMENTS.length} locations`);
+    }
+
+    await messageCollection.createIndexes([
+      { key: { email: 1, createdAt: -1 } },
+      { key: { archived: 1, status: 1, createdAt: -1 } },
+    ]);
+
+    await notificationCollection.createIndexes([
+      { key: { recipientEmail: 1, createdAt: -1 } },
+      { key: { recipientEmail: 1, read: 1 } },
+    ]);
+
+    await auditCollection.createIndexes([
+      { key: { createdAt: -1 } },
+      { key: { "actor.email": 1, createdAt: -1 } },
+      { key: { "target.type": 1, "target.id": 1, createdAt: -1 } },
+      { key: { action: 1, createdAt: -1 } },
+    ]);
+
+    // Streams only replay events missed while reconnecting
+    await eventCollection.createIndexes([
+      { key: { createdAt: 1 }, expireAfterSeconds: 60 * 60 },
+    ]);
+
+    await rateLimitCollection.createIndexes([
+      { key: { key: 1, windowStart: 1 }, unique: true },
+      { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+    ]);
+
+    await blogCollection.createIndexes([
+      { key: { slug: 1 }, unique: true },
+      { key: { status: 1, createdAt: -1 } },
+      { key: { title: "text", content: "text" } },
+    ]);
+
+    await refreshTokenCollection.createIndexes([
+      { key: { tokenHash: 1 }, unique: true },
+      { key: { familyId: 1 } },
+      { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+    ]);
+
+    // POST: Exchange a Firebase ID token for access and refresh tokens
+    app.post("/jwt", async (req, res) => {
       try {
-        const userData = req.body;
-        const existingUser = await userCollection.findOne({
-          email: userData.email,
-        });
+        const { idToken } = req.body || {};
 
-        if (existingUser) {
-          return respond(res, 409, "User already exists");
+        if (!idToken || typeof idToken !== "string") {
+          return respond(res, 400, "Firebase ID token is required");
         }
 
-        const result = await userCollection.insertOne(userData);
-        if (result.insertedId) {
-          return respond(res, 201, "User created successfully");
+        // The email comes from the verified token, never from the body
+        let identity;
+        try {
+          identity = await verifyIdToken(idToken);
+        } catch (error) {
+          // Anything but a rejected token (e.g. no FIREBASE_PROJECT_ID) is ours
+          if (!error.code?.startsWith("auth/")) throw error;
+          return respond(res, 401, "Invalid or expired ID token");
+        }
+        if (!identity.email) {
+          return respond(res, 401, "ID token has no email address");
         }
-      } catch (error) {
-        console.error("Error creating user:", error);
-        return respond(res, 500, "Server error");
-      }
-    });
 
-    // GET: Retrieve single user by email
-    app.get("/users/find", async (req, res) => {
-      try {
-        const { email, name } = req.query;
+        const user = await userCollection.findOne({
+          email: identity.email.toLowerCase(),
+          ...getDeletedQuery(),
+        });
+        if (!user) {
+          return respond(res, 404, "User not found");
+        }
 
-        if (!email && !name) {
-          return respond(res, 400, "Name and email parameter is required");
+        if (user.accountStatus === "blocked") {
+          return respond(res, 403, "Your account has been blocked");
         }
 
-        const user = await userCollection.findOne({ email });
-        if (user) {
-          return respond(res, 200, `${name} connected successfully`, user);
+        // Staff accounts only sign in with an email Firebase has verified
+        if (isStaff(user) && !identity.email_verified) {
+          return respond(res, 403, "Please verify your email address first");
         }
-        return respond(res, 404, "User not found");
+
+        await issueTokens(res, user);
+        return respond(res, 200, "Token issued successfully");
       } catch (error) {
-        console.error("Error fetching user:", error);
+        console.error("Error issuing token:", error);
         return respond(res, 500, "Server error");
       }
     });
 
-    // GET: Users with pagination and filtering
-    app.get("/users", async (req, res) => {
+    // POST: Rotate the refresh token and issue a new access token
+    app.post("/auth/refresh", async (req, res) => {
       try {
-        const {
-          bloodGroup,
-          division,
-          district,
-          upazila,
-          accountStatus = "active",
-          page = 1,
-          limit = 10,
-        } = req.query;
+        const refreshToken = req.cookies?.refreshToken;
 
-        const bloodGroupQuery = getBloodGroupQuery(bloodGroup);
-        const query = {
-          accountStatus,
-          ...bloodGroupQuery,
-          ...(division && { "location.division": new RegExp(division, "i") }),
-          ...(district && { "location.district": new RegExp(district, "i") }),
-          ...(upazila && { "location.upazila": new RegExp(upazila, "i") }),
-        };
+        if (!refreshToken) {
+          return respond(res, 401, "Refresh token missing");
+        }
 
-        const { items: users, meta } = await paginate(userCollection, query, {
-          page,
-          limit,
+        const stored = await refreshTokenCollection.findOne({
+          tokenHash: hashToken(refreshToken),
         });
 
-        if (users.length) {
-          return respond(res, 200, "Users retrieved successfully", users, meta);
+        if (!stored) {
+          clearAuthCookies(res);
+          return respond(res, 401, "Invalid refresh token");
         }
-        return respond(res, 404, "Users not found", [], meta);
-      } catch (error) {
-        console.error("Error fetching users:", error);
-        return respond(res, 500, "Server error");
-      }
-    });
-
-    // PATCH: Update user data
-    app.patch("/users/:id", validateId, async (req, res) => {
-      const id = req.validatedId;
-      const updateData = req.body;
 
-      try {
-        const { _id, email, createdAt, ...safeUpdateData } = updateData;
-        safeUpdateData.updatedAt = new Date().toISOString();
+        // A revoked token being replayed means the family may be stolen
+        if (stored.revokedAt) {
+          await refreshTokenCollection.updateMany(
+            { familyId: stored.familyId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+          );
+          clearAuthCookies(res);
+          return respond(res, 401, "Refresh token reuse detected");
+        }
 
-        const result = await userCollection.updateOne(
-          { _id: id },
-          { $set: safeUpdateData }
-        );
+        if (stored.expiresAt < new Date()) {
+          clearAuthCookies(res);
+          return respond(res, 401, "Refresh token expired");
+        }
 
-        if (result.matchedCount === 0) {
-          return respond(res, 404, "User not found");
+        const user = await userCollection.findOne({ _id: stored.userId });
+        if (!user || user.deletedAt || user.accountStatus === "blocked") {
+          await refreshTokenCollection.updateMany(
+            { familyId: stored.familyId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+          );
+          clearAuthCookies(res);
+          return respond(res, 403, "Account is not allowed to sign in");
         }
 
-        if (result.modifiedCount === 1) {
-          const updatedUser = await userCollection.findOne({ _id: id });
-          return respond(res, 200, "User updated successfully", updatedUser);
+        // Revoke the presented token before issuing its replacement
+        const revoked = await refreshTokenCollection.updateOne(
+          { _id: stored._id, revokedAt: null },
+          { $set: { revokedAt: new Date() } }
+        );
+
+        if (revoked.modifiedCount === 0) {
+          clearAuthCookies(res);
+          return respond(res, 401, "Refresh token reuse detected");
         }
-        return respond(res, 200, "No changes were made to the user");
+
+        const newTokenHash = await issueTokens(res, user, stored.familyId);
+        await refreshTokenCollection.updateOne(
+          { _id: stored._id },
+          { $set: { replacedBy: newTokenHash } }
+        );
+
+        return respond(res, 200, "Token refreshed successfully");
       } catch (error) {
-        console.error("Error updating user:", error);
+        console.error("Error refreshing token:", error);
         return respond(res, 500, "Server error");
       }
     });
 
-    // PATCH: Update user status (block/unblock)
-    app.patch("/users/:id/status", validateId, async (req, res) => {
-      const id = req.validatedId;
-      const { status } = req.body;
+    // POST: Revoke the refresh token and clear auth cookies
+    app.post("/auth/logout", async (req, res) => {
+      try {
+        const refreshToken = req.cookies?.refreshToken;
 
-      if (!["active", "blocked"].includes(status)) {
-        return respond(res, 400, "Invalid status value");
-      }
+        if (refreshToken) {
+          const stored = await refreshTokenCollection.findOne({
+            tokenHash: hashToken(refreshToken),
+          });
 
-      try {
-        const result = await userCollection.updateOne(
-          { _id: id },
-          {
-            $set: {
-              accountStatus: status,
-              updatedAt: new Date().toISOString(),
-            },
+          if (stored) {
+            await refreshTokenCollection.updateMany(
+              { familyId: stored.familyId, revokedAt: null },
+              { $set: { revokedAt: new Date() } }
+            );
           }
-        );
-
-        if (result.matchedCount === 0) {
-          return respond(res, 404, "User not found");
         }
 
-        return respond(res, 200, "User status updated successfully");
+        clearAuthCookies(res);
+        return respond(res, 200, "Logged out successfully");
       } catch (error) {
-        console.error("Error updating user status:", error);
+        console.error("Error logging out:", error);
         return respond(res, 500, "Server error");
       }
     });
 
-    // PATCH: Update user role
-    app.patch("/users/:id/role", validateId, async (req, res) => {
-      const id = req.validatedId;
-      const { role } = req.body;
+    // Cascading location lookups served from the seeded reference collection
+    const listLocations = (type, parentId) =>
+      locationCollection
+        .find(
+          { type, ...(parentId && { parentId }) },
+          { projection: { _id: 0, id: 1, parentId: 1, name: 1, bnName: 1 } }
+        )
+        .sort({ name: 1 })
+        .toArray();
 
-      if (!["donor", "volunteer", "admin"].includes(role)) {
-        return respond(res, 400, "Invalid role value");
+    // GET: All divisions
+    app.get("/locations/divisions", async (req, res) => {
+      try {
+        const divisions = await listLocations("division");
+        return respond(res, 200, "Divisions retrieved successfully", divisions);
+      } catch (error) {
+        console.error("Error fetching divisions:", error);
+        return respond(res, 500, "Server error");
       }
+    });
 
+    // GET: Districts of a division
+    app.get("/locations/divisions/:divisionId/districts", async (req, res) => {
       try {
-        const result = await userCollection.updateOne(
-          { _id: id },
-          { $set: { role, updatedAt: new Date().toISOString() } }
+        const districts = await listLocations(
+          "district",
+          req.params.divisionId
         );
-
-        if (result.matchedCount === 0) {
-          return respond(res, 404, "User not found");
+        if (!districts.length) {
+          return respond(res, 404, "Division not found");
         }
-
-        return respond(res, 200, "User role updated successfully");
+        return respond(res, 200, "Districts retrieved successfully", districts);
       } catch (error) {
-        console.error("Error updating user role:", error);
+        console.error("Error fetching districts:", error);
         return respond(res, 500, "Server error");
       }
     });
 
-    // POST: Save a message
-    app.post("/messages", async (req, res) => {
+    // GET: Upazilas of a district
+    app.get("/locations/districts/:districtId/upazilas", async (req, res) => {
       try {
-        const newMessage = req.body;
-        const existingMessage = await messageCollection.findOne({
-          email: newMessage.email,
-        });
-
-        if (existingMessage) {
-          return respond(res, 409, "Message already exists");
-        }
-
-        const result = await messageCollection.insertOne(newMessage);
-        if (result.insertedId) {
-          return respond(res, 201, "Message saved successfully");
+        const upazilas = await listLocations("upazila", req.params.districtId);
+        if (!upazilas.length) {
+          return respond(res, 404, "District not found");
         }
+        return respond(res, 200, "Upazilas retrieved successfully", upazilas);
       } catch (error) {
-        console.error("Error saving message:", error);
+        console.error("Error fetching upazilas:", error);
         return respond(res, 500, "Server error");
       }
     });
 
-    // POST: Blood request for patient
-    app.post("/blood-requests", async (req, res) => {
-      try {
-        const newBloodRequest = req.body;
+    // POST: Create a new user
+    app.post(
+      "/users",
+      optionalAuth,
+      validateBody(userSchema),
+      rateLimiter.limit("signup", RATE_LIMITS.signup),
+      async (req, res) => {
+        try {
+          const userData = req.body;
+          const existingUser = await userCollection.findOne({
+            email: userData.email,
+          });
 
-        // Prevent self-donation
-        if (newBloodRequest.requester?.email === newBloodRequest.donor?.email) {
-          return respond(
-            res,
-            403,
-            "You cannot create a blood request for yourself"
-          );
+          if (existingUser) {
+            return respond(res, 409, "User already exists");
+          }
+
+          // Role and account status are never taken from the client
+          const newUser = {
+            ...userData,
+            role: "donor",
+            accountStatus: "active",
+            createdAt: new Date().toISOString(),
+          };
+          const result = await userCollection.insertOne(newUser);
+          if (result.insertedId) {
+            await audit(req, {
+              action: "user.create",
+              target: { type: "user", id: result.insertedId },
+              before: null,
+              after: newUser,
+            });
+            return respond(res, 201, "User created successfully");
+          }
+        } catch (error) {
+          console.error("Error creating user:", error);
+          return respond(res, 500, "Server error");
         }
+      }
+    );
 
-        // Check if donor is already engaged with this requester
-        const existingPair = await bloodRequestsCollection.findOne({
-          "requester?.email": newBloodRequest.requester?.email,
-          "donor?.email": newBloodRequest.donor?.email,
-          "status.current": { $in: ["pending", "inprogress"] },
-        });
+    // GET: Retrieve single user by email (own account, or any for staff)
+    app.get(
+      "/users/find",
+      optionalAuth,
+      rateLimiter.limit("userLookup", RATE_LIMITS.userLookup),
+      async (req, res) => {
+        try {
+          const { email, name } = req.query;
 
-        if (existingPair) {
-          return respond(
-            res,
-            409,
-            "This donor is already assisting with your active request"
-          );
+          if (!email && !name) {
+            return respond(res, 400, "Name and email parameter is required");
+          }
+
+          const user = await userCollection.findOne({
+            email,
+            ...getDeletedQuery(),
+          });
+
+          // Anyone else gets the same answer whether or not the email is
+          // registered, so the route cannot be used to enumerate accounts
+          const canView =
+            req.user && (isStaff(req.user) || req.user.email === email);
+          if (user && canView) {
+            return respond(res, 200, `${name} connected successfully`, user);
+          }
+          return respond(res, 404, "User not found");
+        } catch (error) {
+          console.error("Error fetching user:", error);
+          return respond(res, 500, "Server error");
         }
+      }
+    );
 
-        // Check if donor is busy with other requests
-        const donorBusy = await bloodRequestsCollection.findOne({
-          "donor?.email": newBloodRequest.donor?.email,
-          "status.current": "inprogress",
-        });
+    // GET: Users with pagination and filtering
+    app.get("/users", optionalAuth, async (req, res) => {
+      try {
+        const list = getListOptions(req.query, USER_SORTS, "createdAt");
+        if (list.error) {
+          return respond(res, 400, list.error);
+        }
 
-        if (donorBusy) {
-          return respond(
-            res,
-            409,
-            "This donor is currently helping another patient"
-          );
+        const { query, error } = buildUserQuery(req);
+        if (error) {
+          return respond(res, 400, error);
         }
 
-        const result = await bloodRequestsCollection.insertOne(newBloodRequest);
-        if (result.insertedId) {
-          return respond(res, 201, "Blood request created successfully", {
-            insertedId: result.insertedId,
-          });
+        const [{ items, meta }, contacts] = await Promise.all([
+          paginate(userCollection, query, list.options),
+          getContactEmails(req.user),
+        ]);
+        const users = items.map((user) =>
+          serializeUser(user, req.user, contacts)
+        );
+
+        if (users.length) {
+          return respond(res, 200, "Users retrieved successfully", users, meta);
         }
+        return respond(res, 404, "Users not found", [], meta);
       } catch (error) {
-        console.error("Error saving blood request:", error);
+        console.error("Error fetching users:", error);
         return respond(res, 500, "Server error");
       }
     });
 
-    // GET: Retrieve all blood requests with proper role-based access control
-    app.get("/blood-requests", async (req, res) => {
+    // GET: Donors within radiusKm of a point, nearest first
+    app.get("/users/nearby", optionalAuth, async (req, res) => {
       try {
-        const { email, role, page = 1, limit = 10 } = req.query;
+        const {
+          lng,
+          lat,
+          radiusKm = 10,
+          bloodGroup,
+          compatibleWith,
+          component = "redCells",
+          eligibleOnly,
+          page = 1,
+          limit = 10,
+        } = req.query;
 
-        // Build the query based on user role
-        let query = {};
+        const longitude = parseFloat(lng);
+        const latitude = parseFloat(lat);
+        const radius = parseFloat(radiusKm);
 
-        if (email) {
-          // Users can see requests where they're either requester OR donor
-          query = {
-            $or: [{ "requester.email": email }, { "donor.email": email }],
-          };
-        } else if (role === "admin" || role === "volunteer") {
-          // Admins and volunteers can see all requests
-          query = {};
-        } else {
-          return respond(
-            res,
-            400,
-            "Email or valid role is required to fetch donation requests"
-          );
+        if (
+          isNaN(longitude) ||
+          isNaN(latitude) ||
+          Math.abs(longitude) > 180 ||
+          Math.abs(latitude) > 90
+        ) {
+          return respond(res, 400, "Valid lng and lat are required");
+        }
+        if (isNaN(radius) || radius <= 0 || radius > 500) {
+          return respond(res, 400, "radiusKm must be between 0 and 500");
         }
 
-        const { items: requests, meta } = await paginate(
-          bloodRequestsCollection,
-          query,
-          {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            sort: { createdAt: -1 },
+        let bloodGroupQuery = getBloodGroupQuery(bloodGroup);
+        if (compatibleWith) {
+          bloodGroupQuery = getCompatibleDonorQuery(compatibleWith, component);
+          if (!bloodGroupQuery) {
+            return respond(res, 400, "Invalid compatibleWith or component");
           }
+        }
+
+        const staff = isStaff(req.user);
+        const accountStatus = staff
+          ? req.query.accountStatus || "active"
+          : "active";
+
+        const availability = getAvailabilityFilter(req);
+        if (availability.error) {
+          return respond(res, 400, availability.error);
+        }
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+        const [result] = await userCollection
+          .aggregate([
+            {
+              $geoNear: {
+                near: { type: "Point", coordinates: [longitude, latitude] },
+                key: "geo",
+                distanceField: "distanceKm",
+                distanceMultiplier: 0.001,
+                maxDistance: radius * 1000,
+                spherical: true,
+                query: {
+                  accountStatus,
+                  ...bloodGroupQuery,
+                  ...combineQueries(
+                    eligibleOnly === "true" && getEligibilityQuery(),
+                    availability.at && getAvailabilityQuery(availability.at)
+                  ),
+                  ...(!staff && { hideFromSearch: { $ne: true } }),
+                  ...getDeletedQuery(),
+                },
+              },
+            },
+            {
+              $facet: {
+                items: [
+                  { $skip: (pageNumber - 1) * pageSize },
+                  { $limit: pageSize },
+                ],
+                total: [{ $count: "count" }],
+              },
+            },
+          ])
+          .toArray();
+
+        const total = result.total[0]?.count || 0;
+        const meta = {
+          total,
+          page: pageNumber,
+          limit: pageSize,
+          totalPages: Math.ceil(total / pageSize),
+          hasNext: pageNumber * pageSize < total,
+          hasPrev: pageNumber > 1,
+          radiusKm: radius,
+        };
+
+        const contacts = await getContactEmails(req.user);
+        const donors = result.items.map((user) =>
+          serializeUser(user, req.user, contacts)
         );
 
         return respond(
           res,
           200,
-          "Donation requests retrieved successfully",
-          requests,
+          "Nearby donors retrieved successfully",
+          donors,
           meta
         );
       } catch (error) {
-        console.error("Error fetching donation requests:", error);
-        return respond(res, 500, "Server error while processing your request");
+        console.error("Error fetching nearby donors:", error);
+        return respond(res, 500, "Server error");
       }
     });
 
-    // GET: Retrieve single request by ID
-    app.get("/blood-requests/:id", validateId, async (req, res) => {
-      try {
+    // PATCH: Update user data
+    app.patch(
+      "/users/:id",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      validateBody(userSchema, {
+        fields: [
+          "name",
+          "avatar",
+          "bloodGroup",
+          "phone",
+          "location",
+          "geo",
+          "hideFromSearch",
+        ],
+        partial: true,
+      }),
+      async (req, res) => {
         const id = req.validatedId;
-        const bloodRequest = await bloodRequestsCollection.findOne({ _id: id });
 
-        if (bloodRequest) {
-          return respond(
-            res,
-            200,
-            "Blood request retrieved successfully",
-            bloodRequest
+        if (req.user.role !== "admin" && !req.user._id.equals(id)) {
+          return respond(res, 403, "You can only update your own profile");
+        }
+
+        try {
+          const safeUpdateData = {
+            ...req.body,
+            updatedAt: new Date().toISOString(),
+          };
+
+          const before = await userCollection.findOneAndUpdate(
+            { _id: id, ...getDeletedQuery() },
+            { $set: safeUpdateData }
+          );
+
+          if (!before) {
+            return respond(res, 404, "User not found");
+          }
+
+          const updatedUser = await userCollection.findOne({ _id: id });
+          await audit(req, {
+            action: "user.update",
+            target: { type: "user", id },
+            before,
+            after: updatedUser,
+          });
+          return respond(res, 200, "User updated successfully", updatedUser);
+        } catch (error) {
+          console.error("Error updating user:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // PATCH: Update user status (block/unblock)
+    app.patch(
+      "/users/:id/status",
+      verifyToken,
+      verifyRole("admin"),
+      validateId,
+      validateBody(userStatusSchema),
+      async (req, res) => {
+        const id = req.validatedId;
+        const { status } = req.body;
+
+        try {
+          const user = await userCollection.findOneAndUpdate(
+            { _id: id, ...getDeletedQuery() },
+            {
+              $set: {
+                accountStatus: status,
+                updatedAt: new Date().toISOString(),
+              },
+            }
+          );
+
+          if (!user) {
+            return respond(res, 404, "User not found");
+          }
+
+          await audit(req, {
+            action: "user.status",
+            target: { type: "user", id },
+            before: user,
+            after: { ...user, accountStatus: status },
+          });
+
+          await events.publish(
+            "account.status",
+            { accountStatus: status },
+            { emails: [user.email] }
           );
+          if (status === "blocked") {
+            await events.disconnect(user.email);
+          }
+
+          return respond(res, 200, "User status updated successfully");
+        } catch (error) {
+          console.error("Error updating user status:", error);
+          return respond(res, 500, "Server error");
         }
-        return respond(res, 404, "Blood request not found");
-      } catch (error) {
-        console.error("Error fetching blood request:", error);
-        return respond(res, 500, "Server error");
       }
-    });
+    );
 
-    // DELETE: Delete a blood request (only if status is pending or cancelled) by requester or admin
-    app.delete("/blood-requests/:id", validateId, async (req, res) => {
-      try {
+    // PATCH: Update user role
+    app.patch(
+      "/users/:id/role",
+      verifyToken,
+      verifyRole("admin"),
+      validateId,
+      validateBody(userRoleSchema),
+      async (req, res) => {
         const id = req.validatedId;
-        const { email, role } = req.query;
+        const { role } = req.body;
 
-        if (!email) {
-          return respond(
-            res,
-            400,
-            "Requester email is required for verification"
+        try {
+          const user = await userCollection.findOneAndUpdate(
+            { _id: id, ...getDeletedQuery() },
+            { $set: { role, updatedAt: new Date().toISOString() } }
+          );
+
+          if (!user) {
+            return respond(res, 404, "User not found");
+          }
+
+          await audit(req, {
+            action: "user.role",
+            target: { type: "user", id },
+            before: user,
+            after: { ...user, role },
+          });
+
+          await events.updateClient(user.email, { role });
+          await events.publish(
+            "account.role",
+            { role },
+            { emails: [user.email] }
           );
+
+          return respond(res, 200, "User role updated successfully");
+        } catch (error) {
+          console.error("Error updating user role:", error);
+          return respond(res, 500, "Server error");
         }
+      }
+    );
 
-        // Find the request and verify ownership
-        const request = await bloodRequestsCollection.findOne({ _id: id });
-        if (!request) {
-          return respond(res, 404, "Blood request not found");
+    // GET: Donation eligibility of a user (self or staff)
+    app.get(
+      "/users/:id/eligibility",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      async (req, res) => {
+        const id = req.validatedId;
+
+        if (!isStaff(req.user) && !req.user._id.equals(id)) {
+          return respond(res, 403, "You can only view your own eligibility");
         }
 
-        // Authorization check
-        if (role !== "admin" && request.requester?.email !== email) {
+        try {
+          const user = await userCollection.findOne({
+            _id: id,
+            ...getDeletedQuery(),
+          });
+          if (!user) {
+            return respond(res, 404, "User not found");
+          }
+
           return respond(
             res,
-            403,
-            "You are not authorized to delete this request"
+            200,
+            "Eligibility retrieved successfully",
+            getEligibility(user)
           );
+        } catch (error) {
+          console.error("Error fetching eligibility:", error);
+          return respond(res, 500, "Server error");
         }
+      }
+    );
 
-        // Only allow deletion if status is pending OR cancelled
-        if (
-          request.status.current !== "pending" &&
-          request.status.current !== "cancelled"
-        ) {
-          return respond(
-            res,
-            403,
-            "Can only delete requests with 'pending' or 'cancelled' status"
+    // PUT: Manually defer a donor until a given date (admin only)
+    app.put(
+      "/users/:id/deferral",
+      verifyToken,
+      verifyRole("admin"),
+      validateId,
+      validateBody(deferralSchema),
+      async (req, res) => {
+        const id = req.validatedId;
+        const { reason, until } = req.body;
+
+        try {
+          const now = new Date().toISOString();
+          const deferral = { reason, until, setBy: req.user.email, setAt: now };
+          const user = await userCollection.findOneAndUpdate(
+            { _id: id },
+            { $set: { deferral, updatedAt: now } }
           );
-        }
 
-        const result = await bloodRequestsCollection.deleteOne({ _id: id });
-        if (result.deletedCount === 1) {
-          return respond(res, 200, "Blood request deleted successfully");
+          if (!user) {
+            return respond(res, 404, "User not found");
+          }
+
+          await audit(req, {
+            action: "user.deferral.set",
+            target: { type: "user", id },
+            before: user,
+            after: { ...user, deferral },
+          });
+
+          return respond(res, 200, "Donor deferred successfully");
+        } catch (error) {
+          console.error("Error deferring donor:", error);
+          return respond(res, 500, "Server error");
         }
-        return respond(res, 404, "Blood request not found");
-      } catch (error) {
-        console.error("Error deleting blood request:", error);
-        return respond(res, 500, "Server error");
       }
-    });
+    );
 
-    // GET: Get recent blood donation requests
-    app.get("/recent/blood/request", async (req, res) => {
-      try {
-        const { requesterEmail } = req.query;
+    // DELETE: Lift a manual deferral (admin only)
+    app.delete(
+      "/users/:id/deferral",
+      verifyToken,
+      verifyRole("admin"),
+      validateId,
+      async (req, res) => {
+        try {
+          const user = await userCollection.findOneAndUpdate(
+            { _id: req.validatedId },
+            {
+              $unset: { deferral: "" },
+              $set: { updatedAt: new Date().toISOString() },
+            }
+          );
 
-        if (!requesterEmail) {
-          return respond(res, 400, "Requester email is required");
-        }
+          if (!user) {
+            return respond(res, 404, "User not found");
+          }
 
-        const query = { "requester?.email": requesterEmail };
-        const { items: requests, meta } = await paginate(
-          bloodRequestsCollection,
-          query,
-          { page: 1, limit: 3, sort: { createdAt: -1 } }
-        );
+          const { deferral, ...after } = user;
+          await audit(req, {
+            action: "user.deferral.remove",
+            target: { type: "user", id: user._id },
+            before: user,
+            after,
+          });
 
-        return respond(
-          res,
-          200,
-          "Recent donation requests retrieved",
-          requests,
-          {
-            ...meta,
-            hasMore: meta.total > 3,
+          return respond(res, 200, "Deferral removed successfully");
+        } catch (error) {
+          console.error("Error removing deferral:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Donor availability (settings are only shown to self and staff)
+    app.get(
+      "/users/:id/availability",
+      optionalAuth,
+      validateId,
+      async (req, res) => {
+        try {
+          const user = await userCollection.findOne({
+            _id: req.validatedId,
+            ...getDeletedQuery(),
+          });
+          if (!user) {
+            return respond(res, 404, "User not found");
           }
-        );
-      } catch (error) {
-        console.error("Error fetching recent donations:", error);
-        return respond(res, 500, "Server error");
+
+          // The reason is private; others only see whether and until when
+          const canManage = isStaff(req.user) || req.user?._id.equals(user._id);
+          return respond(res, 200, "Availability retrieved successfully", {
+            ...serializeDonorStatus(getAvailability(user), user, req.user),
+            ...(canManage && {
+              settings: user.availability || { available: true, weekly: [] },
+            }),
+          });
+        } catch (error) {
+          console.error("Error fetching availability:", error);
+          return respond(res, 500, "Server error");
+        }
       }
-    });
+    );
 
-    // Unified blood request update endpoint with role-based access control
-    app.patch("/blood-requests/:id", validateId, async (req, res) => {
-      try {
+    // PUT: Replace a donor's availability settings (self or admin)
+    app.put(
+      "/users/:id/availability",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      validateBody(availabilitySchema),
+      async (req, res) => {
         const id = req.validatedId;
-        const { role, email, name, action, status, ...updateData } = req.body;
-        const currentTime = new Date().toISOString();
 
-        // Validate required fields
-        if (!role || !email) {
-          return respond(res, 400, "Role and email are required");
+        if (req.user.role !== "admin" && !req.user._id.equals(id)) {
+          return respond(res, 403, "You can only change your own availability");
         }
 
-        // Validate action
-        if (!["update", "complete", "cancel"].includes(action)) {
-          return respond(res, 400, "Invalid action specified");
+        try {
+          const { available, unavailableUntil, reason, weekly } = req.body;
+          const now = new Date().toISOString();
+          const availability = {
+            available,
+            unavailableUntil: available ? null : unavailableUntil || null,
+            reason: available ? null : reason || null,
+            weekly,
+            updatedAt: now,
+          };
+
+          const user = await userCollection.findOneAndUpdate(
+            { _id: id, ...getDeletedQuery() },
+            { $set: { availability, updatedAt: now } }
+          );
+
+          if (!user) {
+            return respond(res, 404, "User not found");
+          }
+
+          await audit(req, {
+            action: "user.availability",
+            target: { type: "user", id },
+            before: user,
+            after: { ...user, availability },
+          });
+
+          return respond(
+            res,
+            200,
+            "Availability updated successfully",
+            getAvailability({ availability })
+          );
+        } catch (error) {
+          console.error("Error updating availability:", error);
+          return respond(res, 500, "Server error");
         }
+      }
+    );
 
-        const existingRequest = await bloodRequestsCollection.findOne({
-          _id: id,
-        });
-        if (!existingRequest) {
-          return respond(res, 404, "Blood request not found");
+    // DELETE: Soft-delete a user account (self or admin)
+    app.delete(
+      "/users/:id",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      async (req, res) => {
+        const id = req.validatedId;
+
+        if (req.user.role !== "admin" && !req.user._id.equals(id)) {
+          return respond(res, 403, "You can only delete your own account");
         }
 
-        // Check permissions based on action
-        const isRequester = existingRequest.requester?.email === email;
-        const isDonor = existingRequest.donor?.email === email;
-        const currentStatus = existingRequest.status?.current;
+        try {
+          const now = new Date().toISOString();
+          const deletedBy = {
+            email: req.user.email,
+            name: req.user.name,
+            role: req.user.role,
+          };
+          const user = await userCollection.findOneAndUpdate(
+            { _id: id, ...getDeletedQuery() },
+            { $set: { deletedAt: now, deletedBy, updatedAt: now } }
+          );
 
-        switch (action) {
-          case "update":
-            // For update action, allow full document update with permission checks
-            if (!isRequester && role !== "admin" && role !== "volunteer") {
-              return respond(res, 403, "Not authorized to update this request");
-            }
+          if (!user) {
+            return respond(res, 404, "User not found");
+          }
 
-            // Prepare update object
-            const finalUpdate = {
-              ...updateData,
-              updatedAt: currentTime,
-              // If status is being updated, maintain history
-              ...(status?.current && {
-                status: {
-                  current: status.current,
-                  history: [
-                    ...(existingRequest.status.history || []),
-                    {
-                      status: status.current,
-                      changedAt: currentTime,
-                      changedBy: { email, name, role },
-                    },
-                  ],
-                },
-              }),
-            };
+          // Sign the account out everywhere
+          await refreshTokenCollection.updateMany(
+            { userId: user._id, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+          );
+          await events.disconnect(user.email);
+          if (req.user._id.equals(id)) {
+            clearAuthCookies(res);
+          }
 
-            const updateResult = await bloodRequestsCollection.updateOne(
-              { _id: id },
-              { $set: finalUpdate }
-            );
+          await audit(req, {
+            action: "user.delete",
+            target: { type: "user", id },
+            before: user,
+            after: { ...user, deletedAt: now, deletedBy },
+          });
+          return respond(res, 200, "User deleted successfully");
+        } catch (error) {
+          console.error("Error deleting user:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
 
-            if (updateResult.matchedCount === 0) {
-              return respond(res, 404, "Blood request not found");
+    // POST: Restore a soft-deleted user account (admin only)
+    app.post(
+      "/users/:id/restore",
+      verifyToken,
+      verifyRole("admin"),
+      validateId,
+      async (req, res) => {
+        try {
+          const id = req.validatedId;
+          const user = await userCollection.findOneAndUpdate(
+            { _id: id, deletedAt: { $ne: null } },
+            {
+              $unset: { deletedAt: "", deletedBy: "" },
+              $set: { updatedAt: new Date().toISOString() },
             }
+          );
 
-            const updatedRequest = await bloodRequestsCollection.findOne({
-              _id: id,
-            });
+          if (!user) {
+            return respond(res, 404, "Deleted user not found");
+          }
+
+          const { deletedAt, deletedBy, ...after } = user;
+          await audit(req, {
+            action: "user.restore",
+            target: { type: "user", id },
+            before: user,
+            after,
+          });
+          return respond(res, 200, "User restored successfully");
+        } catch (error) {
+          console.error("Error restoring user:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // POST: Save a message
+    app.post(
+      "/messages",
+      optionalAuth,
+      validateBody(messageSchema),
+      rateLimiter.limit("message", RATE_LIMITS.message),
+      async (req, res) => {
+        try {
+          const newMessage = req.body;
+          const now = new Date();
+
+          const message = {
+            ...newMessage,
+            status: "unread",
+            archived: false,
+            assignedTo: null,
+            notes: [],
+            replies: [],
+            createdAt: now.toISOString(),
+          };
+          const result = await messageCollection.insertOne(message);
+          if (result.insertedId) {
+            await audit(req, {
+              action: "message.create",
+              target: { type: "message", id: result.insertedId },
+              before: null,
+              after: message,
+            });
+            return respond(res, 201, "Message saved successfully");
+          }
+        } catch (error) {
+          console.error("Error saving message:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Staff inbox with status, archive and date filters
+    app.get(
+      "/messages",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      async (req, res) => {
+        try {
+          const {
+            status,
+            archived = "false",
+            assignedTo,
+            from,
+            to,
+          } = req.query;
+
+          const list = getListOptions(
+            req.query,
+            NEWEST_FIRST_SORTS,
+            "createdAt"
+          );
+          if (list.error) {
+            return respond(res, 400, list.error);
+          }
+
+          if (status && !MESSAGE_STATUSES.includes(status)) {
+            return respond(res, 400, "Invalid status value");
+          }
+
+          const fromDate = from && new Date(from);
+          const toDate = to && new Date(to);
+          if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return respond(res, 400, "Invalid date range");
+          }
+
+          // Messages saved before the inbox existed have no status/archived
+          // fields and count as unread, unarchived
+          const query = {
+            archived: archived === "true" ? true : { $ne: true },
+            ...(status && {
+              status: status === "unread" ? { $in: ["unread", null] } : status,
+            }),
+            ...(assignedTo && {
+              "assignedTo.email":
+                assignedTo === "me" ? req.user.email : assignedTo,
+            }),
+            ...((fromDate || toDate) && {
+              createdAt: {
+                ...(fromDate && { $gte: fromDate.toISOString() }),
+                ...(toDate && { $lte: toDate.toISOString() }),
+              },
+            }),
+          };
+
+          const [{ items: messages, meta }, unread] = await Promise.all([
+            paginate(messageCollection, query, list.options),
+            messageCollection.countDocuments({
+              archived: { $ne: true },
+              status: { $in: ["unread", null] },
+            }),
+          ]);
+
+          return respond(
+            res,
+            200,
+            "Messages retrieved successfully",
+            messages,
+            {
+              ...meta,
+              unread,
+            }
+          );
+        } catch (error) {
+          console.error("Error fetching messages:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Single message
+    app.get(
+      "/messages/:id",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateId,
+      async (req, res) => {
+        try {
+          const message = await messageCollection.findOne({
+            _id: req.validatedId,
+          });
+          if (!message) {
+            return respond(res, 404, "Message not found");
+          }
+          return respond(res, 200, "Message retrieved successfully", message);
+        } catch (error) {
+          console.error("Error fetching message:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    /**
+     * Apply an inbox update to a message, audit it and send back the
+     * updated document
+     * @param {object} req - Express request (validatedId set)
+     * @param {object} res - Express response object
+     * @param {string} action - Audit action name, e.g. "message.assign"
+     * @param {object} update - MongoDB update document
+     * @param {string} successMessage - Message for the 200 response
+     * @param {object} [filter={}] - Extra match conditions
+     */
+    const updateMessage = async (
+      req,
+      res,
+      action,
+      update,
+      successMessage,
+      filter = {}
+    ) => {
+      const before = await messageCollection.findOneAndUpdate(
+        { _id: req.validatedId, ...filter },
+        {
+          ...update,
+          $set: { ...update.$set, updatedAt: new Date().toISOString() },
+        }
+      );
+
+      if (!before) {
+        return respond(res, 404, "Message not found");
+      }
+
+      const message = await messageCollection.findOne({ _id: before._id });
+      await audit(req, {
+        action,
+        target: { type: "message", id: before._id },
+        before,
+        after: message,
+      });
+      return respond(res, 200, successMessage, message);
+    };
+
+    // PATCH: Mark a message as read (replied messages stay replied)
+    app.patch(
+      "/messages/:id/read",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateId,
+      async (req, res) => {
+        try {
+          const existing = await messageCollection.findOne({
+            _id: req.validatedId,
+          });
+          if (!existing) {
+            return respond(res, 404, "Message not found");
+          }
+          if (existing.status && existing.status !== "unread") {
+            return respond(res, 200, "Message already read", existing);
+          }
+
+          return await updateMessage(
+            req,
+            res,
+            "message.read",
+            {
+              $set: {
+                status: "read",
+                readAt: new Date().toISOString(),
+                readBy: req.user.email,
+              },
+            },
+            "Message marked as read",
+            { status: { $in: ["unread", null] } }
+          );
+        } catch (error) {
+          console.error("Error marking message read:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // PATCH: Assign a message to a staff member
+    app.patch(
+      "/messages/:id/assign",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateId,
+      validateBody(messageAssignSchema),
+      async (req, res) => {
+        try {
+          const assignee = await userCollection.findOne({
+            email: req.body.email,
+            role: { $in: ["admin", "volunteer"] },
+          });
+          if (!assignee) {
+            return respond(res, 400, "Assignee must be an admin or volunteer");
+          }
+
+          return await updateMessage(
+            req,
+            res,
+            "message.assign",
+            {
+              $set: {
+                assignedTo: { name: assignee.name, email: assignee.email },
+                assignedAt: new Date().toISOString(),
+              },
+            },
+            "Message assigned successfully"
+          );
+        } catch (error) {
+          console.error("Error assigning message:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // POST: Add an internal note to a message
+    app.post(
+      "/messages/:id/notes",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateId,
+      validateBody(messageNoteSchema),
+      async (req, res) => {
+        try {
+          return await updateMessage(
+            req,
+            res,
+            "message.note",
+            {
+              $push: {
+                notes: {
+                  text: req.body.text,
+                  author: { name: req.user.name, email: req.user.email },
+                  createdAt: new Date().toISOString(),
+                },
+              },
+            },
+            "Note added successfully"
+          );
+        } catch (error) {
+          console.error("Error adding message note:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // POST: Record a reply sent to the sender
+    app.post(
+      "/messages/:id/reply",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateId,
+      validateBody(messageReplySchema),
+      async (req, res) => {
+        try {
+          const now = new Date().toISOString();
+          return await updateMessage(
+            req,
+            res,
+            "message.reply",
+            {
+              $set: { status: "replied", repliedAt: now },
+              $push: {
+                replies: {
+                  text: req.body.text,
+                  repliedBy: { name: req.user.name, email: req.user.email },
+                  repliedAt: now,
+                },
+              },
+            },
+            "Reply recorded successfully"
+          );
+        } catch (error) {
+          console.error("Error recording reply:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // PATCH: Archive or unarchive a message
+    app.patch(
+      "/messages/:id/archive",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateId,
+      validateBody(messageArchiveSchema),
+      async (req, res) => {
+        try {
+          const { archived } = req.body;
+          return await updateMessage(
+            req,
+            res,
+            "message.archive",
+            {
+              $set: {
+                archived,
+                archivedAt: archived ? new Date().toISOString() : null,
+              },
+            },
+            archived
+              ? "Message archived successfully"
+              : "Message restored to inbox"
+          );
+        } catch (error) {
+          console.error("Error archiving message:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // POST: Blood request for patient
+    app.post(
+      "/blood-requests",
+      optionalAuth,
+      validateBody(bloodRequestSchema),
+      rateLimiter.limit("bloodRequest", RATE_LIMITS.bloodRequest),
+      async (req, res) => {
+        try {
+          const { donorId, ...newBloodRequest } = req.body;
+          // Signed-in requesters are who their token says; only their
+          // requests can unlock the donor's contact details
+          if (req.user) {
+            newBloodRequest.requester = {
+              name: req.user.name,
+              email: req.user.email,
+              userId: req.user._id,
+            };
+          }
+
+          if (donorId) {
+            if (newBloodRequest.donor) {
+              return respond(res, 400, "Provide either donor or donorId");
+            }
+            if (!ObjectId.isValid(donorId)) {
+              return respond(res, 400, "Invalid donor ID format");
+            }
+            const donor = await userCollection.findOne({
+              _id: new ObjectId(donorId),
+              accountStatus: "active",
+              ...getDeletedQuery(),
+            });
+            if (!donor) {
+              return respond(res, 404, "Donor not found");
+            }
+            newBloodRequest.donor = { name: donor.name, email: donor.email };
+          }
+
+          // Without a donor the request goes on the open board
+          if (newBloodRequest.donor) {
+            // Prevent self-donation
+            if (
+              newBloodRequest.requester?.email === newBloodRequest.donor.email
+            ) {
+              return respond(
+                res,
+                403,
+                "You cannot create a blood request for yourself"
+              );
+            }
+
+            // Early, friendlier answer for a donor who is already busy; the
+            // unique indexes are what actually guard against races
+            const donorBusy = await bloodRequestsCollection.findOne({
+              "donor.email": newBloodRequest.donor.email,
+              "status.current": "inprogress",
+            });
+
+            if (donorBusy) {
+              return respond(
+                res,
+                409,
+                "This donor is currently helping another patient"
+              );
+            }
+
+            // Reject donors still inside a deferral period
+            const donor = await userCollection.findOne({
+              email: newBloodRequest.donor.email,
+            });
+            if (donor) {
+              // The deferral reason is kept from the requester
+              const eligibility = getEligibility(donor);
+              if (!eligibility.eligible) {
+                return respond(
+                  res,
+                  409,
+                  `This donor is not eligible to donate until ${new Date(
+                    eligibility.eligibleFrom
+                  ).toDateString()}`,
+                  serializeDonorStatus(eligibility, donor, req.user)
+                );
+              }
+
+              const availability = getRequestAvailability(
+                donor,
+                newBloodRequest
+              );
+              if (!availability.available) {
+                return respond(
+                  res,
+                  409,
+                  "This donor is not available at the requested time",
+                  serializeDonorStatus(availability, donor, req.user)
+                );
+              }
+            }
+          } else {
+            newBloodRequest.volunteers = [];
+          }
+
+          // New requests always start as pending
+          const now = new Date().toISOString();
+          newBloodRequest.status = {
+            current: "pending",
+            history: [
+              {
+                status: "pending",
+                changedAt: now,
+                changedBy: {
+                  email: newBloodRequest.requester?.email,
+                  name: newBloodRequest.requester?.name,
+                },
+              },
+            ],
+          };
+          newBloodRequest.createdAt = now;
+          if (!newBloodRequest.requiredBy) {
+            const deadline = getDonationDeadline(
+              newBloodRequest.donationDate,
+              newBloodRequest.donationTime
+            );
+            if (deadline < new Date()) {
+              return respond(res, 400, "The donation time has already passed");
+            }
+            newBloodRequest.requiredBy = deadline.toISOString();
+          }
+          newBloodRequest.isOpen = !newBloodRequest.donor;
+          newBloodRequest.urgencyPriority =
+            URGENCY_PRIORITY[newBloodRequest.urgency];
+
+          const result =
+            await bloodRequestsCollection.insertOne(newBloodRequest);
+          if (result.insertedId) {
+            await audit(req, {
+              action: "request.create",
+              target: { type: "blood-request", id: result.insertedId },
+              before: null,
+              after: newBloodRequest,
+            });
+
+            await notifications.notify({
+              recipientEmail: newBloodRequest.donor?.email,
+              type: "request.created",
+              title: "New blood request",
+              body: `${newBloodRequest.requester?.name} needs ${
+                newBloodRequest.bloodGroup
+              } blood at ${newBloodRequest.hospitalName}`,
+              data: { requestId: result.insertedId },
+            });
+
+            const summary = {
+              requestId: result.insertedId,
+              bloodGroup: newBloodRequest.bloodGroup,
+              hospitalName: newBloodRequest.hospitalName,
+              location: newBloodRequest.location,
+            };
+            await events.publish("request.created", summary, {
+              emails: [newBloodRequest.donor?.email],
+            });
+            await events.publish("request.pending", summary, {
+              roles: ["admin", "volunteer"],
+            });
+            return respond(res, 201, "Blood request created successfully", {
+              insertedId: result.insertedId,
+            });
+          }
+        } catch (error) {
+          const conflict = assignmentConflictMessage(error);
+          if (conflict) {
+            return respond(res, 409, conflict);
+          }
+          console.error("Error saving blood request:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Public board of open requests that any eligible donor can take
+    app.get("/blood-requests/open", async (req, res) => {
+      try {
+        const { bloodGroup, urgency } = req.query;
+
+        // Most urgent first, then the nearest deadline
+        const list = getListOptions(req.query, BLOOD_REQUEST_SORTS, "urgency");
+        if (list.error) {
+          return respond(res, 400, list.error);
+        }
+
+        if (urgency && !URGENCY_PRIORITY[urgency]) {
+          return respond(res, 400, "Invalid urgency value");
+        }
+
+        const location = getLocationQuery(req.query);
+        if (location.error) {
+          return respond(res, 400, location.error);
+        }
+
+        const query = {
+          isOpen: true,
+          "status.current": "pending",
+          ...getDeletedQuery(),
+          ...getBloodGroupQuery(bloodGroup),
+          ...location.query,
+          ...(urgency && { urgency }),
+        };
+
+        const { items: requests, meta } = await paginate(
+          bloodRequestsCollection,
+          query,
+          {
+            ...list.options,
+            // Requester contact details and volunteer identities stay private
+            projection: {
+              "requester.email": 0,
+              "requester.phone": 0,
+              volunteers: 0,
+              "status.history": 0,
+            },
+          }
+        );
+
+        return respond(
+          res,
+          200,
+          "Open requests retrieved successfully",
+          requests,
+          meta
+        );
+      } catch (error) {
+        console.error("Error fetching open requests:", error);
+        return respond(res, 500, "Server error");
+      }
+    });
+
+    // POST: Volunteer to donate for an open request
+    app.post(
+      "/blood-requests/:id/volunteer",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      async (req, res) => {
+        try {
+          const id = req.validatedId;
+          const { user } = req;
+
+          const request = await bloodRequestsCollection.findOne({
+            _id: id,
+            ...getDeletedQuery(),
+          });
+          if (!request || !request.isOpen) {
+            return respond(res, 404, "Open blood request not found");
+          }
+          if (request.status?.current !== "pending") {
+            return respond(res, 400, "This request is no longer open");
+          }
+          if (request.requester?.email === user.email) {
+            return respond(
+              res,
+              403,
+              "You cannot volunteer for your own request"
+            );
+          }
+          if (!isCompatible(user.bloodGroup, request.bloodGroup)) {
+            return respond(
+              res,
+              400,
+              `Your blood group is not compatible with ${request.bloodGroup}`
+            );
+          }
+
+          const eligibility = getEligibility(user);
+          if (!eligibility.eligible) {
+            return respond(
+              res,
+              409,
+              `You are not eligible to donate until ${new Date(
+                eligibility.eligibleFrom
+              ).toDateString()} (${eligibility.reason})`,
+              eligibility
+            );
+          }
+
+          const availability = getRequestAvailability(user, request);
+          if (!availability.available) {
+            return respond(
+              res,
+              409,
+              `You are not available at the requested time (${availability.reason})`,
+              availability
+            );
+          }
+
+          const result = await bloodRequestsCollection.updateOne(
+            {
+              _id: id,
+              isOpen: true,
+              "status.current": "pending",
+              "volunteers.email": { $ne: user.email },
+            },
+            {
+              $push: {
+                volunteers: {
+                  name: user.name,
+                  email: user.email,
+                  bloodGroup: user.bloodGroup,
+                  volunteeredAt: new Date().toISOString(),
+                },
+              },
+            }
+          );
+
+          if (result.modifiedCount === 0) {
+            return respond(
+              res,
+              409,
+              "You have already volunteered or the request was just closed"
+            );
+          }
+
+          await notifications.notify({
+            recipientEmail: request.requester?.email,
+            type: "request.volunteer",
+            title: "A donor volunteered",
+            body: `${user.name} (${user.bloodGroup}) volunteered to donate for ${
+              request.recipientName || "your request"
+            }`,
+            data: { requestId: id },
+          });
+          await audit(req, {
+            action: "request.volunteer",
+            target: { type: "blood-request", id },
+            before: { volunteers: request.volunteers || [] },
+            after: {
+              volunteers: [
+                ...(request.volunteers || []),
+                { name: user.name, email: user.email },
+              ],
+            },
+          });
+
+          await events.publish(
+            "request.volunteer",
+            { requestId: id, volunteer: { name: user.name } },
+            { emails: [request.requester?.email] }
+          );
+
+          return respond(res, 200, "Thank you for volunteering");
+        } catch (error) {
+          console.error("Error volunteering for request:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // POST: Requester (or staff) picks one volunteer as the donor
+    app.post(
+      "/blood-requests/:id/assign",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      validateBody(assignVolunteerSchema),
+      async (req, res) => {
+        try {
+          const request = await bloodRequestsCollection.findOne({
+            _id: req.validatedId,
+            ...getDeletedQuery(),
+          });
+          if (!request || !request.isOpen) {
+            return respond(res, 404, "Open blood request not found");
+          }
+
+          const volunteer = request.volunteers?.find(
+            (v) => v.email === req.body.email
+          );
+          const { email, name, role } = req.user;
+          const result = await transitionRequest(
+            request,
+            "assignVolunteer",
+            { email, name, role, ip: req.ip },
+            volunteer && {
+              donor: { name: volunteer.name, email: volunteer.email },
+              isOpen: false,
+            }
+          );
+
+          if (!result.ok) {
+            return respond(res, result.status, result.message);
+          }
+          return respond(res, 200, result.message, result.request);
+        } catch (error) {
+          console.error("Error assigning volunteer:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Retrieve all blood requests with proper role-based access control
+    app.get("/blood-requests", verifyToken, verifyRole(), async (req, res) => {
+      try {
+        // Default: most urgent first, then the nearest deadline
+        const list = getListOptions(req.query, BLOOD_REQUEST_SORTS, "urgency");
+        if (list.error) {
+          return respond(res, 400, list.error);
+        }
+
+        const { query, error } = buildBloodRequestQuery(req);
+        if (error) {
+          return respond(res, 400, error);
+        }
+
+        const { items, meta } = await paginate(
+          bloodRequestsCollection,
+          query,
+          list.options
+        );
+        const requests = items.map((request) =>
+          serializeBloodRequest(request, req.user)
+        );
+
+        return respond(
+          res,
+          200,
+          "Donation requests retrieved successfully",
+          requests,
+          meta
+        );
+      } catch (error) {
+        console.error("Error fetching donation requests:", error);
+        return respond(res, 500, "Server error while processing your request");
+      }
+    });
+
+    // GET: Retrieve single request by ID
+    app.get(
+      "/blood-requests/:id",
+      optionalAuth,
+      validateId,
+      async (req, res) => {
+        try {
+          const id = req.validatedId;
+          const bloodRequest = await bloodRequestsCollection.findOne({
+            _id: id,
+            ...getDeletedQuery(wantsDeleted(req)),
+          });
+
+          if (bloodRequest) {
+            return respond(
+              res,
+              200,
+              "Blood request retrieved successfully",
+              serializeBloodRequest(bloodRequest, req.user)
+            );
+          }
+          return respond(res, 404, "Blood request not found");
+        } catch (error) {
+          console.error("Error fetching blood request:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // DELETE: Soft-delete a blood request (only if status is pending or cancelled) by requester or admin
+    app.delete(
+      "/blood-requests/:id",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      async (req, res) => {
+        try {
+          const id = req.validatedId;
+          const { email, name, role } = req.user;
+
+          // Find the request and verify ownership
+          let request = await bloodRequestsCollection.findOne({
+            _id: id,
+            ...getDeletedQuery(),
+          });
+          if (!request) {
+            return respond(res, 404, "Blood request not found");
+          }
+
+          // Authorization check
+          if (role !== "admin" && request.requester?.email !== email) {
+            return respond(
+              res,
+              403,
+              "You are not authorized to delete this request"
+            );
+          }
+
+          // Only allow deletion if status is pending OR cancelled
+          if (
+            request.status.current !== "pending" &&
+            request.status.current !== "cancelled"
+          ) {
+            return respond(
+              res,
+              403,
+              "Can only delete requests with 'pending' or 'cancelled' status"
+            );
+          }
+
+          // A pending request is cancelled first, so the donor is told and
+          // the request no longer counts as an active assignment. The
+          // status it had is kept for restore.
+          const statusBeforeDelete = request.status.current;
+          if (statusBeforeDelete === "pending") {
+            const result = await transitionRequest(request, "cancel", {
+              email,
+              name,
+              role,
+              ip: req.ip,
+            });
+            if (!result.ok) {
+              return respond(res, result.status, result.message);
+            }
+            request = result.request;
+          }
+
+          const now = new Date().toISOString();
+          const deletedBy = { email, name, role };
+          const deletion = { deletedAt: now, deletedBy, statusBeforeDelete };
+          const result = await bloodRequestsCollection.updateOne(
+            { _id: id, ...getDeletedQuery() },
+            { $set: { ...deletion, updatedAt: now } }
+          );
+          if (result.modifiedCount === 1) {
+            await audit(req, {
+              action: "request.delete",
+              target: { type: "blood-request", id },
+              before: request,
+              after: { ...request, ...deletion },
+            });
+            return respond(res, 200, "Blood request deleted successfully");
+          }
+          return respond(res, 404, "Blood request not found");
+        } catch (error) {
+          console.error("Error deleting blood request:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // POST: Restore a soft-deleted blood request (admin only). A request
+    // that was cancelled by its deletion goes back to its earlier status.
+    app.post(
+      "/blood-requests/:id/restore",
+      verifyToken,
+      verifyRole("admin"),
+      validateId,
+      async (req, res) => {
+        try {
+          const id = req.validatedId;
+          const request = await bloodRequestsCollection.findOne({
+            _id: id,
+            deletedAt: { $ne: null },
+          });
+          if (!request) {
+            return respond(res, 404, "Deleted blood request not found");
+          }
+
+          const current = request.status?.current;
+          const previous = request.statusBeforeDelete;
+          const reopen = Boolean(previous) && previous !== current;
+          const now = new Date().toISOString();
+          const { email, name, role } = req.user;
+
+          let restored;
+          try {
+            restored = await bloodRequestsCollection.findOneAndUpdate(
+              {
+                _id: id,
+                deletedAt: { $ne: null },
+                ...(reopen && { "status.current": current }),
+              },
+              {
+                $unset: {
+                  deletedAt: "",
+                  deletedBy: "",
+                  statusBeforeDelete: "",
+                },
+                $set: {
+                  updatedAt: now,
+                  ...(reopen && { "status.current": previous }),
+                },
+                ...(reopen && {
+                  $push: {
+                    "status.history": {
+                      status: previous,
+                      changedAt: now,
+                      changedBy: { email, name, role },
+                    },
+                  },
+                }),
+              },
+              { returnDocument: "after" }
+            );
+          } catch (error) {
+            // The donor took on another request with this requester meanwhile
+            const conflict = assignmentConflictMessage(error);
+            if (conflict) return respond(res, 409, conflict);
+            throw error;
+          }
+
+          if (!restored) {
+            return respond(
+              res,
+              409,
+              "Blood request was changed by someone else, please retry"
+            );
+          }
+
+          await audit(req, {
+            action: "request.restore",
+            target: { type: "blood-request", id },
+            before: request,
+            after: restored,
+          });
+          if (reopen) {
+            await notifyStatusChange(restored, email);
+            await events.publish(
+              "request.status",
+              {
+                requestId: id,
+                status: previous,
+                changedBy: { email, name, role },
+              },
+              { emails: [restored.requester?.email, restored.donor?.email] }
+            );
+          }
+          return respond(
+            res,
+            200,
+            "Blood request restored successfully",
+            restored
+          );
+        } catch (error) {
+          console.error("Error restoring blood request:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: My most recent blood requests
+    app.get(
+      "/recent/blood/request",
+      verifyToken,
+      verifyRole(),
+      async (req, res) => {
+        try {
+          const query = {
+            "requester.email": req.user.email,
+            ...getDeletedQuery(),
+          };
+          const { items, meta } = await paginate(
+            bloodRequestsCollection,
+            query,
+            { page: 1, limit: 3, sort: { createdAt: -1 } }
+          );
+          const requests = items.map((request) =>
+            serializeBloodRequest(request, req.user)
+          );
+
+          return respond(
+            res,
+            200,
+            "Recent donation requests retrieved",
+            requests,
+            {
+              ...meta,
+              hasMore: meta.total > 3,
+            }
+          );
+        } catch (error) {
+          console.error("Error fetching recent donations:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // PATCH: Edit request details ("update") or run a state machine action
+    app.patch(
+      "/blood-requests/:id",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      validateBody(bloodRequestUpdateSchema),
+      async (req, res) => {
+        try {
+          const id = req.validatedId;
+          const { action, ...body } = req.body;
+          const { email, name, role } = req.user;
+
+          const existingRequest = await bloodRequestsCollection.findOne({
+            _id: id,
+            ...getDeletedQuery(),
+          });
+          if (!existingRequest) {
+            return respond(res, 404, "Blood request not found");
+          }
+
+          if (action === "update") {
+            const isRequester = existingRequest.requester?.email === email;
+            if (!isRequester && !isStaff(req.user)) {
+              return respond(res, 403, "Not authorized to update this request");
+            }
+
+            // Only request details are editable; status, donor, requester
+            // and volunteers change through the state machine actions
+            const updateData = Object.fromEntries(
+              BLOOD_REQUEST_EDITABLE.filter(
+                (field) => body[field] !== undefined
+              ).map((field) => [field, body[field]])
+            );
+            if (!Object.keys(updateData).length) {
+              return respond(res, 400, "No valid fields to update");
+            }
+
+            // A moved donation moves the default deadline with it
+            const movesDonation =
+              updateData.donationDate !== undefined ||
+              updateData.donationTime !== undefined;
+            if (movesDonation && !updateData.requiredBy) {
+              const deadline = getDonationDeadline(
+                updateData.donationDate ?? existingRequest.donationDate,
+                updateData.donationTime ?? existingRequest.donationTime
+              );
+              if (deadline < new Date()) {
+                return respond(
+                  res,
+                  400,
+                  "The donation time has already passed"
+                );
+              }
+              updateData.requiredBy = deadline.toISOString();
+            }
+
+            const updatedRequest =
+              await bloodRequestsCollection.findOneAndUpdate(
+                { _id: id, ...getDeletedQuery() },
+                {
+                  $set: {
+                    ...updateData,
+                    ...(updateData.urgency && {
+                      urgencyPriority: URGENCY_PRIORITY[updateData.urgency],
+                    }),
+                    updatedAt: new Date().toISOString(),
+                  },
+                },
+                { returnDocument: "after" }
+              );
+
+            if (!updatedRequest) {
+              return respond(res, 404, "Blood request not found");
+            }
+
+            await audit(req, {
+              action: "request.update",
+              target: { type: "blood-request", id },
+              before: existingRequest,
+              after: updatedRequest,
+            });
             return respond(
               res,
-              200,
-              "Request updated successfully",
-              updatedRequest
+              200,
+              "Request updated successfully",
+              updatedRequest
+            );
+          }
+
+          const result = await transitionRequest(existingRequest, action, {
+            email,
+            name,
+            role,
+            ip: req.ip,
+          });
+          if (!result.ok) {
+            return respond(res, result.status, result.message);
+          }
+
+          return respond(res, 200, result.message, result.request);
+        } catch (error) {
+          const conflict = assignmentConflictMessage(error);
+          if (conflict) {
+            return respond(res, 409, conflict);
+          }
+          console.error("Error updating blood request:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Server-Sent Events stream of live updates for the signed-in user.
+    // Streams close after EVENT_STREAM_MAX_MS and resume on reconnect.
+    app.get("/events", verifyToken, verifyRole(), (req, res) => {
+      events.subscribe(req, res, req.user);
+    });
+
+    // GET: My notifications with unread count
+    app.get("/notifications", verifyToken, verifyRole(), async (req, res) => {
+      try {
+        const { unreadOnly } = req.query;
+        const recipientEmail = req.user.email;
+
+        const list = getListOptions(req.query, NEWEST_FIRST_SORTS, "createdAt");
+        if (list.error) {
+          return respond(res, 400, list.error);
+        }
+
+        const [{ items, meta }, unread] = await Promise.all([
+          paginate(
+            notificationCollection,
+            { recipientEmail, ...(unreadOnly === "true" && { read: false }) },
+            list.options
+          ),
+          notificationCollection.countDocuments({
+            recipientEmail,
+            read: false,
+          }),
+        ]);
+
+        return respond(
+          res,
+          200,
+          "Notifications retrieved successfully",
+          items,
+          {
+            ...meta,
+            unread,
+          }
+        );
+      } catch (error) {
+        console.error("Error fetching notifications:", error);
+        return respond(res, 500, "Server error");
+      }
+    });
+
+    // GET: Unread notification count (for the header badge)
+    app.get(
+      "/notifications/unread-count",
+      verifyToken,
+      verifyRole(),
+      async (req, res) => {
+        try {
+          const unread = await notificationCollection.countDocuments({
+            recipientEmail: req.user.email,
+            read: false,
+          });
+          return respond(res, 200, "Unread count retrieved", { unread });
+        } catch (error) {
+          console.error("Error counting notifications:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // PATCH: Mark all my notifications as read
+    app.patch(
+      "/notifications/read-all",
+      verifyToken,
+      verifyRole(),
+      async (req, res) => {
+        try {
+          const result = await notificationCollection.updateMany(
+            { recipientEmail: req.user.email, read: false },
+            { $set: { read: true, readAt: new Date().toISOString() } }
+          );
+          return respond(res, 200, "All notifications marked as read", {
+            modifiedCount: result.modifiedCount,
+          });
+        } catch (error) {
+          console.error("Error marking notifications read:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // PATCH: Mark one of my notifications as read
+    app.patch(
+      "/notifications/:id/read",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      async (req, res) => {
+        try {
+          const notification = await notificationCollection.findOneAndUpdate(
+            { _id: req.validatedId, recipientEmail: req.user.email },
+            { $set: { read: true, readAt: new Date().toISOString() } },
+            { returnDocument: "after" }
+          );
+
+          if (!notification) {
+            return respond(res, 404, "Notification not found");
+          }
+          return respond(res, 200, "Notification marked as read", notification);
+        } catch (error) {
+          console.error("Error marking notification read:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Donation records (staff see all, donors see their own)
+    app.get("/donations", verifyToken, verifyRole(), async (req, res) => {
+      try {
+        const list = getListOptions(req.query, DONATION_SORTS, "donatedAt");
+        if (list.error) {
+          return respond(res, 400, list.error);
+        }
+
+        const { query, error } = buildDonationQuery(req);
+        if (error) {
+          return respond(res, 400, error);
+        }
+
+        const { items: donations, meta } = await paginate(
+          donationCollection,
+          query,
+          list.options
+        );
+
+        return respond(
+          res,
+          200,
+          "Donations retrieved successfully",
+          donations,
+          meta
+        );
+      } catch (error) {
+        console.error("Error fetching donations:", error);
+        return respond(res, 500, "Server error");
+      }
+    });
+
+    // GET: Donation history of a single donor (self or staff)
+    app.get(
+      "/users/:id/donations",
+      verifyToken,
+      verifyRole(),
+      validateId,
+      async (req, res) => {
+        try {
+          const id = req.validatedId;
+
+          if (!isStaff(req.user) && !req.user._id.equals(id)) {
+            return respond(
+              res,
+              403,
+              "You can only view your own donation history"
+            );
+          }
+
+          const list = getListOptions(req.query, DONATION_SORTS, "donatedAt");
+          if (list.error) {
+            return respond(res, 400, list.error);
+          }
+
+          const { items: donations, meta } = await paginate(
+            donationCollection,
+            { donorId: id },
+            list.options
+          );
+
+          const [latest] = await donationCollection
+            .find({ donorId: id, status: "completed" })
+            .sort({ donatedAt: -1 })
+            .limit(1)
+            .toArray();
+
+          return respond(
+            res,
+            200,
+            "Donation history retrieved successfully",
+            donations,
+            { ...meta, lastDonationAt: latest?.donatedAt || null }
+          );
+        } catch (error) {
+          console.error("Error fetching donation history:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Dashboard totals, optionally limited to a date range
+    app.get(
+      "/admin/stats",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      async (req, res) => {
+        try {
+          const { from, to } = req.query;
+          const fromDate = from && new Date(from);
+          const toDate = to && new Date(to);
+
+          if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return respond(res, 400, "Invalid date range");
+          }
+
+          const range = {
+            from: fromDate?.toISOString(),
+            to: toDate?.toISOString(),
+          };
+
+          const [[users], [requests], donationsPerMonth, demand, supply] =
+            await Promise.all([
+              userCollection.aggregate(userCountsPipeline(range)).toArray(),
+              bloodRequestsCollection
+                .aggregate(requestCountsPipeline(range))
+                .toArray(),
+              donationCollection
+                .aggregate(donationsPerMonthPipeline(range))
+                .toArray(),
+              bloodRequestsCollection
+                .aggregate(demandPipeline(range))
+                .toArray(),
+              userCollection.aggregate(supplyPipeline()).toArray(),
+            ]);
+
+          const [completion] = requests.completionTime;
+
+          return respond(
+            res,
+            200,
+            "Statistics retrieved successfully",
+            {
+              users: {
+                byRole: toCountMap(users.byRole),
+                byAccountStatus: toCountMap(users.byAccountStatus),
+              },
+              bloodRequests: {
+                byStatus: toCountMap(requests.byStatus),
+                averageCompletionHours: completion
+                  ? +(completion.averageMs / 36e5).toFixed(1)
+                  : null,
+                completedCount: completion?.count || 0,
+              },
+              donationsPerMonth,
+              demandVsSupply: mergeDemandSupply(demand, supply),
+            },
+            { range }
+          );
+        } catch (error) {
+          console.error("Error fetching statistics:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Audit trail, filterable by actor, target and action (admin only)
+    app.get(
+      "/admin/audit",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        try {
+          const { actor, targetType, targetId, action, from, to } = req.query;
+
+          // Repeated parameters (?action=a&action=b) arrive as arrays
+          const filters = { actor, targetType, targetId, action, from, to };
+          const repeated = Object.keys(filters).find(
+            (key) =>
+              filters[key] !== undefined && typeof filters[key] !== "string"
+          );
+          if (repeated) {
+            return respond(res, 400, `${repeated} must be a single value`);
+          }
+
+          const list = getListOptions(
+            { limit: 20, ...req.query },
+            NEWEST_FIRST_SORTS,
+            "createdAt"
+          );
+          if (list.error) {
+            return respond(res, 400, list.error);
+          }
+
+          const fromDate = from && new Date(from);
+          const toDate = to && new Date(to);
+          if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return respond(res, 400, "Invalid date range");
+          }
+
+          // "user" matches user.create, user.role, ... ; "user.role" is exact
+          const escapedAction = action?.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+          const query = {
+            ...(actor && { "actor.email": actor }),
+            ...(targetType && { "target.type": targetType }),
+            ...(targetId && { "target.id": targetId }),
+            ...(action && {
+              action: new RegExp(`^${escapedAction}(\\.|$)`),
+            }),
+            ...((fromDate || toDate) && {
+              createdAt: {
+                ...(fromDate && { $gte: fromDate.toISOString() }),
+                ...(toDate && { $lte: toDate.toISOString() }),
+              },
+            }),
+          };
+
+          const { items: entries, meta } = await paginate(
+            auditCollection,
+            query,
+            list.options
+          );
+
+          return respond(
+            res,
+            200,
+            "Audit log retrieved successfully",
+            entries,
+            meta
+          );
+        } catch (error) {
+          console.error("Error fetching audit log:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // POST: Block, unblock or change the role of many users (admin only)
+    app.post(
+      "/admin/users/bulk",
+      verifyToken,
+      verifyRole("admin"),
+      validateBody(bulkUserSchema),
+      async (req, res) => {
+        try {
+          const { action, role, ids, filter, dryRun } = req.body;
+          if (action === "setRole" && !role) {
+            return respond(res, 400, "role is required for setRole");
+          }
+
+          // Missing role/accountStatus fields mean donor/active
+          const orDefault = (value, fallback) =>
+            value === fallback ? { $in: [value, null] } : value;
+          const query = filter && {
+            ...(filter.role && { role: orDefault(filter.role, "donor") }),
+            ...(filter.accountStatus && {
+              accountStatus: orDefault(filter.accountStatus, "active"),
+            }),
+            ...getBloodGroupQuery(filter.bloodGroup),
+            ...(filter.divisionId && {
+              "location.divisionId": filter.divisionId,
+            }),
+            ...(filter.districtId && {
+              "location.districtId": filter.districtId,
+            }),
+            ...(filter.upazilaId && { "location.upazilaId": filter.upazilaId }),
+          };
+
+          const selection = await selectBulkTargets(userCollection, ids, query);
+          if (selection.error) {
+            return respond(res, 400, selection.error);
+          }
+
+          const [field, value, fallback] =
+            action === "setRole"
+              ? ["role", role, "donor"]
+              : [
+                  "accountStatus",
+                  action === "block" ? "blocked" : "active",
+                  "active",
+                ];
+
+          const plan = selection.items.map(({ id, doc }) => {
+            if (!doc) return { id, ok: false, message: "User not found" };
+            if (doc._id.equals(req.user._id)) {
+              return {
+                id,
+                ok: false,
+                message: "You cannot change your own account",
+              };
+            }
+            if ((doc[field] || fallback) === value) {
+              return { id, ok: false, message: `${field} is already ${value}` };
+            }
+            return {
+              id,
+              ok: true,
+              doc,
+              message: `${field}: ${doc[field] || fallback} -> ${value}`,
+            };
+          });
+
+          if (dryRun) {
+            return respondBulk(
+              res,
+              plan.map(({ doc, ...result }) => result),
+              true
             );
+          }
 
-          case "complete":
-            if (
-              !isRequester &&
-              !isDonor &&
-              role !== "admin" &&
-              role !== "volunteer"
-            ) {
-              return respond(
-                res,
-                403,
-                "Not authorized to complete this request"
+          const now = new Date().toISOString();
+          const results = await withOptionalTransaction(async (session) => {
+            const attempt = [];
+            for (const item of plan) {
+              if (!item.ok) {
+                attempt.push(item);
+                continue;
+              }
+              // Only apply while the user still has the value we planned from
+              const updated = await userCollection.updateOne(
+                {
+                  _id: item.doc._id,
+                  [field]: item.doc[field] ?? null,
+                  ...getDeletedQuery(),
+                },
+                { $set: { [field]: value, updatedAt: now } },
+                { session }
+              );
+              attempt.push(
+                updated.modifiedCount
+                  ? item
+                  : {
+                      id: item.id,
+                      ok: false,
+                      message: "User was changed by someone else",
+                    }
               );
             }
+            return attempt;
+          });
 
-            if (currentStatus !== "inprogress") {
-              return respond(
-                res,
-                400,
-                "Can only complete in-progress requests"
+          for (const { ok, doc } of results) {
+            if (!ok) continue;
+            await audit(req, {
+              action: field === "role" ? "user.role" : "user.status",
+              target: { type: "user", id: doc._id },
+              before: doc,
+              after: { ...doc, [field]: value },
+            });
+            if (field === "role") {
+              await events.updateClient(doc.email, { role: value });
+              await events.publish(
+                "account.role",
+                { role: value },
+                { emails: [doc.email] }
               );
+            } else {
+              await events.publish(
+                "account.status",
+                { accountStatus: value },
+                { emails: [doc.email] }
+              );
+              if (value === "blocked") {
+                await events.disconnect(doc.email);
+              }
             }
+          }
 
-            const completeUpdate = {
-              "status.current": "completed",
-              "status.history": [
-                ...(existingRequest.status.history || []),
-                {
-                  status: "completed",
-                  changedAt: currentTime,
-                  changedBy: { email, name, role },
-                },
-              ],
-              updatedAt: currentTime,
+          return respondBulk(
+            res,
+            results.map(({ doc, ...result }) => result),
+            false
+          );
+        } catch (error) {
+          console.error("Error running bulk user operation:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // POST: Cancel or expire many blood requests (admin/volunteer)
+    app.post(
+      "/admin/blood-requests/bulk",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateBody(bulkBloodRequestSchema),
+      async (req, res) => {
+        try {
+          const { action, ids, filter, dryRun } = req.body;
+          const { email, name, role } = req.user;
+          const actor = { email, name, role, ip: req.ip };
+
+          const query = filter && {
+            ...(filter.status && { "status.current": filter.status }),
+            ...getBloodGroupQuery(filter.bloodGroup),
+            ...(filter.districtId && {
+              "location.districtId": filter.districtId,
+            }),
+            ...(filter.isOpen !== undefined && { isOpen: filter.isOpen }),
+            ...(filter.requiredBefore && {
+              requiredBy: { $lt: filter.requiredBefore },
+            }),
+          };
+
+          const selection = await selectBulkTargets(
+            bloodRequestsCollection,
+            ids,
+            query
+          );
+          if (selection.error) {
+            return respond(res, 400, selection.error);
+          }
+
+          // The state machine decides per request whether the action applies
+          const plan = selection.items.map(({ id, doc }) => {
+            if (!doc) {
+              return { id, ok: false, message: "Blood request not found" };
+            }
+            const check = checkTransition(action, doc, actor);
+            if (!check.ok) return { id, ok: false, message: check.message };
+            return {
+              id,
+              ok: true,
+              doc,
+              message: `status: ${check.from} -> ${check.to}`,
             };
+          });
 
-            const completeResult = await bloodRequestsCollection.updateOne(
-              { _id: id },
-              { $set: completeUpdate }
+          if (dryRun) {
+            return respondBulk(
+              res,
+              plan.map(({ doc, ...result }) => result),
+              true
             );
+          }
 
-            if (completeResult.matchedCount === 0) {
-              return respond(res, 404, "Blood request not found");
+          const applied = await withOptionalTransaction(async (session) => {
+            const attempt = [];
+            for (const item of plan) {
+              attempt.push({
+                item,
+                result: item.ok
+                  ? await applyTransition(
+                      item.doc,
+                      action,
+                      actor,
+                      undefined,
+                      session
+                    )
+                  : null,
+              });
             }
+            return attempt;
+          });
 
-            const completedRequest = await bloodRequestsCollection.findOne({
-              _id: id,
-            });
+          // Notifications and audit entries only go out once committed
+          const results = [];
+          for (const { item, result } of applied) {
+            if (!result) {
+              results.push(item);
+            } else if (result.ok) {
+              await publishTransition(result);
+              results.push({ id: item.id, ok: true, message: item.message });
+            } else {
+              results.push({ id: item.id, ok: false, message: result.message });
+            }
+          }
+
+          return respondBulk(
+            res,
+            results.map(({ doc, ...result }) => result),
+            false
+          );
+        } catch (error) {
+          console.error("Error running bulk blood request operation:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // Export filters are the ones of the matching list endpoint
+    const exportSources = {
+      users: { collection: userCollection, buildQuery: buildUserQuery },
+      "blood-requests": {
+        collection: bloodRequestsCollection,
+        buildQuery: buildBloodRequestQuery,
+      },
+      donations: {
+        collection: donationCollection,
+        buildQuery: buildDonationQuery,
+      },
+    };
+
+    // GET: Stream users, blood requests or donations as CSV or NDJSON (admin only)
+    app.get(
+      "/admin/export/:entity",
+      verifyToken,
+      verifyRole("admin"),
+      async (req, res) => {
+        const { entity } = req.params;
+        const { format = "csv" } = req.query;
+
+        const source = Object.hasOwn(exportSources, entity)
+          ? exportSources[entity]
+          : null;
+        if (!source) {
+          return respond(
+            res,
+            404,
+            `Unknown export, use one of ${Object.keys(exportSources).join(", ")}`
+          );
+        }
+        if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+          return respond(res, 400, "format must be csv or ndjson");
+        }
+
+        const { query, error } = source.buildQuery(req);
+        if (error) {
+          return respond(res, 400, error);
+        }
+
+        try {
+          const fields = EXPORT_FIELDS[entity];
+          const cursor = source.collection
+            .find(query, {
+              projection: Object.fromEntries(fields.map((f) => [f, 1])),
+            })
+            .sort({ _id: 1 });
+
+          const count = await streamExport(req, res, cursor, {
+            format,
+            fields,
+            filename: `${entity}-${new Date().toISOString().slice(0, 10)}`,
+          });
+
+          await audit(req, {
+            action: `export.${entity}`,
+            target: { type: entity, id: null },
+            before: null,
+            after: { format, filters: req.query, count },
+          });
+        } catch (error) {
+          console.error(`Error exporting ${entity}:`, error);
+          if (!res.headersSent) {
+            return respond(res, 500, "Server error");
+          }
+          // Part of the file was already sent; cut it off visibly
+          res.destroy(error);
+        }
+      }
+    );
+
+    // POST: Import donors from a CSV body, with a per-row report (admin only)
+    app.post(
+      "/admin/import/users",
+      verifyToken,
+      verifyRole("admin"),
+      express.text({
+        type: ["text/csv", "text/plain"],
+        limit: IMPORT_MAX_BYTES,
+      }),
+      async (req, res) => {
+        try {
+          const { onDuplicate = "skip", dryRun } = req.query;
+          const isDryRun = dryRun === "true";
+
+          if (!["skip", "merge"].includes(onDuplicate)) {
+            return respond(res, 400, "onDuplicate must be skip or merge");
+          }
+          if (typeof req.body !== "string" || !req.body.trim()) {
             return respond(
               res,
-              200,
-              "Request completed successfully",
-              completedRequest
+              400,
+              "Send the CSV file as the request body with Content-Type text/csv"
             );
+          }
 
-          case "cancel":
-            if (!isRequester && role !== "admin") {
-              return respond(
-                res,
-                403,
-                "Only requester or admin can cancel request"
-              );
+          const parsed = parseCsv(req.body);
+          if (parsed.error) {
+            return respond(res, 400, parsed.error);
+          }
+          const { rows, error } = readUserRows(parsed.rows);
+          if (error) {
+            return respond(res, 400, error);
+          }
+          if (rows.length > IMPORT_ROW_LIMIT) {
+            return respond(
+              res,
+              400,
+              `At most ${IMPORT_ROW_LIMIT} rows can be imported at once`
+            );
+          }
+
+          const emails = rows
+            .map((row) => row.data.email?.toLowerCase())
+            .filter(Boolean);
+          const existing = new Map(
+            (
+              await userCollection
+                .find({ email: { $in: [...new Set(emails)] } })
+                .toArray()
+            ).map((user) => [user.email, user])
+          );
+
+          const now = new Date().toISOString();
+          const seen = new Set();
+          const results = [];
+          const planned = [];
+
+          for (const { line, data, errors: rowErrors } of rows) {
+            const email = data.email?.toLowerCase();
+            const report = { line, email: email || null };
+            const current = email && existing.get(email);
+
+            if (email && seen.has(email)) {
+              results.push({
+                ...report,
+                status: "skipped",
+                reason: "Duplicate email earlier in the file",
+              });
+              continue;
             }
+            if (email) seen.add(email);
 
-            if (!["pending", "inprogress"].includes(currentStatus)) {
-              return respond(
-                res,
-                400,
-                "Can only cancel pending or in-progress requests"
-              );
+            if (current?.deletedAt) {
+              results.push({
+                ...report,
+                status: "skipped",
+                reason: "Email belongs to a deleted account",
+              });
+              continue;
+            }
+            if (current && onDuplicate === "skip") {
+              results.push({
+                ...report,
+                status: "skipped",
+                reason: "User already exists",
+              });
+              continue;
             }
 
-            const cancelUpdate = {
-              "status.current": "cancelled",
-              "status.history": [
-                ...(existingRequest.status.history || []),
-                {
-                  status: "cancelled",
-                  changedAt: currentTime,
-                  changedBy: { email, name, role },
-                },
-              ],
-              updatedAt: currentTime,
-            };
+            if (rowErrors) {
+              results.push({ ...report, status: "invalid", errors: rowErrors });
+              continue;
+            }
+
+            // Merged rows only overwrite the columns they fill in
+            const { value, errors } = validate(userSchema, data, {
+              fields: current
+                ? ["name", "avatar", "bloodGroup", "phone", "location"]
+                : [
+                    "name",
+                    "email",
+                    "avatar",
+                    "bloodGroup",
+                    "phone",
+                    "location",
+                    "hideFromSearch",
+                  ],
+              partial: Boolean(current),
+            });
+
+            if (errors.length) {
+              results.push({ ...report, status: "invalid", errors });
+            } else if (current && !Object.keys(value).length) {
+              results.push({
+                ...report,
+                status: "skipped",
+                reason: "Nothing to update",
+              });
+            } else {
+              const result = {
+                ...report,
+                status: current ? "updated" : "created",
+              };
+              results.push(result);
+              planned.push({ result, current, value });
+            }
+          }
 
-            const cancelResult = await bloodRequestsCollection.updateOne(
-              { _id: id },
-              { $set: cancelUpdate }
+          if (!isDryRun && planned.length) {
+            const operations = planned.map(({ current, value }) =>
+              current
+                ? {
+                    updateOne: {
+                      filter: { _id: current._id },
+                      update: { $set: { ...value, updatedAt: now } },
+                    },
+                  }
+                : {
+                    insertOne: {
+                      document: {
+                        ...value,
+                        role: "donor",
+                        accountStatus: "active",
+                        createdAt: now,
+                      },
+                    },
+                  }
             );
+            const written = await userCollection.bulkWrite(operations, {
+              ordered: false,
+            });
 
-            if (cancelResult.matchedCount === 0) {
-              return respond(res, 404, "Blood request not found");
+            for (const [i, { result, current, value }] of planned.entries()) {
+              const id = current?._id || written.insertedIds[i];
+              result.id = id;
+              await audit(req, {
+                action: current ? "user.update" : "user.create",
+                target: { type: "user", id },
+                before: current || null,
+                after: current
+                  ? { ...current, ...value }
+                  : operations[i].insertOne.document,
+              });
             }
+          }
 
-            const cancelledRequest = await bloodRequestsCollection.findOne({
-              _id: id,
+          const count = (status) =>
+            results.filter((r) => r.status === status).length;
+          return respond(
+            res,
+            200,
+            isDryRun
+              ? "Dry run completed, nothing was changed"
+              : "Import completed",
+            results,
+            {
+              dryRun: isDryRun,
+              total: results.length,
+              created: count("created"),
+              updated: count("updated"),
+              skipped: count("skipped"),
+              invalid: count("invalid"),
+            }
+          );
+        } catch (error) {
+          console.error("Error importing users:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // Find a free slug by appending a counter when the base slug is taken
+    const uniqueSlug = async (title, excludeId) => {
+      const base = slugify(title) || "post";
+      let slug = base;
+      let counter = 1;
+      while (
+        await blogCollection.findOne({
+          slug,
+          ...(excludeId && { _id: { $ne: excludeId } }),
+        })
+      ) {
+        slug = `${base}-${counter++}`;
+      }
+      return slug;
+    };
+
+    /**
+     * Run a write that stores a slug for the title. The unique slug index
+     * settles races: when another post took the slug first, the next free
+     * one is picked and the write retried.
+     * @param {string} title - Blog title
+     * @param {ObjectId|undefined} excludeId - Post being edited (optional)
+     * @param {Function} write - async (slug) => result
+     * @returns {Promise<any>} - Result of the successful write
+     */
+    const withUniqueSlug = async (title, excludeId, write) => {
+      for (let attempt = 1; ; attempt++) {
+        const slug = await uniqueSlug(title, excludeId);
+        try {
+          return await write(slug);
+        } catch (error) {
+          if (
+            error?.code !== 11000 ||
+            !error.keyPattern?.slug ||
+            attempt >= 5
+          ) {
+            throw error;
+          }
+        }
+      }
+    };
+
+    // POST: Create a blog draft (admin/volunteer)
+    app.post(
+      "/blogs",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateBody(blogSchema),
+      async (req, res) => {
+        try {
+          const { title, content, thumbnail } = req.body;
+
+          const now = new Date().toISOString();
+          const blog = {
+            title,
+            slug: null,
+            thumbnail: thumbnail || null,
+            content: sanitizeContent(content),
+            status: "draft",
+            author: { name: req.user.name, email: req.user.email },
+            createdAt: now,
+            updatedAt: now,
+            publishedAt: null,
+          };
+
+          const result = await withUniqueSlug(title, undefined, (slug) => {
+            // insertOne adds _id to the document; a retry needs a fresh one
+            delete blog._id;
+            blog.slug = slug;
+            return blogCollection.insertOne(blog);
+          });
+          if (result.insertedId) {
+            await audit(req, {
+              action: "blog.create",
+              target: { type: "blog", id: result.insertedId },
+              before: null,
+              after: blog,
             });
+            return respond(res, 201, "Blog draft created successfully", {
+              insertedId: result.insertedId,
+              slug: blog.slug,
+            });
+          }
+        } catch (error) {
+          console.error("Error creating blog:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // GET: Blogs with pagination, status filter and text search
+    app.get("/blogs", optionalAuth, async (req, res) => {
+      try {
+        const { status = "published", search } = req.query;
+
+        const list = getListOptions(req.query, NEWEST_FIRST_SORTS, "createdAt");
+        if (list.error) {
+          return respond(res, 400, list.error);
+        }
+
+        // Only staff may list drafts; everyone else sees published posts
+        if (status !== "published" && !isStaff(req.user)) {
+          return respond(res, 403, "Forbidden - Staff access required");
+        }
+
+        if (status !== "all" && !BLOG_STATUSES.includes(status)) {
+          return respond(res, 400, "Invalid status value");
+        }
+
+        // ?search=a&search=b arrives as an array, which $text rejects
+        if (search !== undefined && typeof search !== "string") {
+          return respond(res, 400, "search must be a single value");
+        }
+
+        const query = {
+          ...(status !== "all" && { status }),
+          ...(search && { $text: { $search: search } }),
+        };
+
+        const { items: blogs, meta } = await paginate(
+          blogCollection,
+          query,
+          list.options
+        );
+
+        return respond(res, 200, "Blogs retrieved successfully", blogs, meta);
+      } catch (error) {
+        console.error("Error fetching blogs:", error);
+        return respond(res, 500, "Server error");
+      }
+    });
+
+    // GET: Single blog by id or slug
+    app.get("/blogs/:idOrSlug", optionalAuth, async (req, res) => {
+      try {
+        const { idOrSlug } = req.params;
+        const query = ObjectId.isValid(idOrSlug)
+          ? { $or: [{ _id: new ObjectId(idOrSlug) }, { slug: idOrSlug }] }
+          : { slug: idOrSlug };
+
+        const blog = await blogCollection.findOne(query);
+        if (!blog || (blog.status !== "published" && !isStaff(req.user))) {
+          return respond(res, 404, "Blog not found");
+        }
+
+        return respond(res, 200, "Blog retrieved successfully", blog);
+      } catch (error) {
+        console.error("Error fetching blog:", error);
+        return respond(res, 500, "Server error");
+      }
+    });
+
+    // PATCH: Edit blog content (admin/volunteer); a volunteer editing a
+    // published post takes it back to draft
+    app.patch(
+      "/blogs/:id",
+      verifyToken,
+      verifyRole("admin", "volunteer"),
+      validateId,
+      validateBody(blogSchema, { partial: true }),
+      async (req, res) => {
+        try {
+          const id = req.validatedId;
+          const { title, content, thumbnail } = req.body;
+
+          const existing = await blogCollection.findOne({ _id: id });
+          if (!existing) {
+            return respond(res, 404, "Blog not found");
+          }
+          const isPublished = existing.status === "published";
+
+          const update = {
+            ...(title && { title }),
+            ...(content && { content: sanitizeContent(content) }),
+            ...(thumbnail !== undefined && { thumbnail }),
+            // Only admins publish, so a volunteer's edit goes back to review
+            ...(isPublished &&
+              req.user.role !== "admin" && {
+                status: "draft",
+                publishedAt: null,
+              }),
+            updatedAt: new Date().toISOString(),
+          };
+
+          const applyUpdate = () =>
+            blogCollection.findOneAndUpdate(
+              { _id: id, status: existing.status },
+              { $set: update }
+            );
+          // Published posts keep their slug so existing links still work
+          const before =
+            title && !isPublished
+              ? await withUniqueSlug(title, id, (slug) => {
+                  update.slug = slug;
+                  return applyUpdate();
+                })
+              : await applyUpdate();
+
+          if (!before) {
             return respond(
               res,
-              200,
-              "Request cancelled successfully",
-              cancelledRequest
+              409,
+              "Blog status was changed by someone else, please retry"
             );
+          }
+
+          const blog = { ...before, ...update };
+          await audit(req, {
+            action: "blog.update",
+            target: { type: "blog", id },
+            before,
+            after: blog,
+          });
+          return respond(res, 200, "Blog updated successfully", blog);
+        } catch (error) {
+          console.error("Error updating blog:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
+
+    // PATCH: Publish or unpublish a blog (admin only)
+    app.patch(
+      "/blogs/:id/status",
+      verifyToken,
+      verifyRole("admin"),
+      validateId,
+      validateBody(blogStatusSchema),
+      async (req, res) => {
+        const id = req.validatedId;
+        const { status } = req.body;
+
+        try {
+          const now = new Date().toISOString();
+          const changes = {
+            status,
+            publishedAt: status === "published" ? now : null,
+            updatedAt: now,
+          };
+          const before = await blogCollection.findOneAndUpdate(
+            { _id: id },
+            { $set: changes }
+          );
+
+          if (!before) {
+            return respond(res, 404, "Blog not found");
+          }
+
+          await audit(req, {
+            action: "blog.status",
+            target: { type: "blog", id },
+            before,
+            after: { ...before, ...changes },
+          });
+
+          return respond(
+            res,
+            200,
+            status === "published"
+              ? "Blog published successfully"
+              : "Blog unpublished successfully"
+          );
+        } catch (error) {
+          console.error("Error updating blog status:", error);
+          return respond(res, 500, "Server error");
+        }
+      }
+    );
 
-          default:
-            return respond(res, 400, "Invalid action specified");
+    // DELETE: Remove a blog (admin only)
+    app.delete(
+      "/blogs/:id",
+      verifyToken,
+      verifyRole("admin"),
+      validateId,
+      async (req, res) => {
+        try {
+          const deleted = await blogCollection.findOneAndDelete({
+            _id: req.validatedId,
+          });
+          if (deleted) {
+            await audit(req, {
+              action: "blog.delete",
+              target: { type: "blog", id: deleted._id },
+              before: deleted,
+              after: null,
+            });
+            return respond(res, 200, "Blog deleted successfully");
+          }
+          return respond(res, 404, "Blog not found");
+        } catch (error) {
+          console.error("Error deleting blog:", error);
+          return respond(res, 500, "Server error");
         }
+      }
+    );
+
+    // GET: Scheduled job, expire overdue pending requests (Vercel cron).
+    // vercel.json runs it daily, the most the Hobby plan allows; on a paid
+    // plan the schedule can be tightened to e.g. every 15 minutes
+    app.get("/cron/expire-requests", verifyCron, async (req, res) => {
+      try {
+        const expired = await expireOverdueRequests();
+        return respond(res, 200, `Expired ${expired} overdue blood requests`, {
+          expired,
+        });
+      } catch (error) {
+        console.error("Error expiring overdue requests:", error);
+        return respond(res, 500, "Server error");
+      }
+    });
+
+    // GET: Scheduled job, purge soft-deleted records past their retention
+    // period (Vercel cron)
+    app.get("/cron/purge-deleted", verifyCron, async (req, res) => {
+      try {
+        const purged = await purgeDeletedRecords();
+        return respond(res, 200, `Purged ${purged} soft-deleted records`, {
+          purged,
+        });
       } catch (error) {
-        console.error("Error updating blood request:", error);
+        console.error("Error purging deleted records:", error);
         return respond(res, 500, "Server error");
       }
     });
+
+    // Serverless instances are frozen between requests, so timers there
+    // never fire reliably; only a long-running server (node index.js)
+    // schedules the jobs itself
+    if (require.main === module) {
+      const runExpiryJob = () =>
+        expireOverdueRequests()
+          .then((count) => {
+            if (count) console.log(`Expired ${count} overdue blood requests`);
+          })
+          .catch((error) => {
+            console.error("Error expiring overdue requests:", error);
+          });
+      runExpiryJob();
+      setInterval(runExpiryJob, EXPIRY_CHECK_INTERVAL_MS);
+
+      const runPurgeJob = () =>
+        purgeDeletedRecords()
+          .then((count) => {
+            if (count) console.log(`Purged ${count} soft-deleted records`);
+          })
+          .catch((error) => {
+            console.error("Error purging deleted records:", error);
+          });
+      runPurgeJob();
+      setInterval(runPurgeJob, PURGE_INTERVAL_MS);
+    }
   } finally {
     // Ensures that the client will close when you finish/error
     // await client.close();
   }
 }
 
-run().catch(console.dir);
+// The API routes are registered by run() once the database is ready.
+// Requests arriving before that wait for it, and are refused if it failed.
+const ready = run();
+ready.catch((error) => {
+  console.error("Server startup failed:", error);
+  if (require.main === module) process.exit(1);
+});
+app.use((req, res, next) => {
+  ready.then(
+    () => next(),
+    () => respond(res, 503, "Service unavailable")
+  );
+});
 
 app.get("/", (req, res) => {
   res.send("Server is running");
 });
 
-app.listen(port, () => {
-  console.log(`Server is running on port http://localhost:${port}`);
-});
+// Vercel and the tests use the exported app; only `node index.js` listens
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server is running on port http://localhost:${port}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,112 @@
+/**
+ * One-off migration: give users and blood requests that still store free-text
+ * division/district/upazila names the location IDs the ID-based filters and
+ * validation expect.
+ *
+ * Usage: node scripts/migrate-locations.js [--dry-run]
+ * Reads MONGODB_URI from .env like the server. Documents whose names cannot
+ * be matched (unknown spelling, ambiguous upazila) are listed and left
+ * untouched so they can be fixed by hand.
+ */
+
+require("dotenv").config();
+
+const { MongoClient } = require("mongodb");
+const { resolveLocation, resolveLocationNames } = require("../utils/locations");
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes("--dry-run");
+
+// Very old documents kept the names at the top level instead of in location
+const getNames = (doc) => ({
+  division: doc.location?.division ?? doc.division,
+  district: doc.location?.district ?? doc.district,
+  upazila: doc.location?.upazila ?? doc.upazila,
+});
+
+/**
+ * Add location IDs to every document of a collection that lacks them
+ * @param {object} collection - MongoDB collection
+ * @returns {Promise<{ updated: number, unmatched: object[] }>}
+ */
+const migrateCollection = async (collection) => {
+  const cursor = collection.find({
+    "location.divisionId": { $exists: false },
+    $or: [
+      { "location.division": { $exists: true } },
+      { "location.district": { $exists: true } },
+      { division: { $exists: true } },
+      { district: { $exists: true } },
+    ],
+  });
+
+  let updated = 0;
+  let batch = [];
+  const unmatched = [];
+
+  const flush = async () => {
+    if (batch.length && !dryRun) await collection.bulkWrite(batch);
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    const names = getNames(doc);
+    const ids = resolveLocationNames(names);
+    // A location is only usable with all three levels
+    const resolved = ids.error
+      ? ids
+      : resolveLocation({
+          divisionId: ids.value.divisionId,
+          districtId: ids.value.districtId,
+          upazilaId: ids.value.upazilaId,
+        });
+
+    if (resolved.error) {
+      unmatched.push({ _id: doc._id, ...names, error: resolved.error });
+      continue;
+    }
+
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { location: { ...doc.location, ...resolved.value } } },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { updated, unmatched };
+};
+
+const main = async () => {
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    const db = client.db("blood-donation");
+    for (const name of ["users", "blood-requests"]) {
+      const { updated, unmatched } = await migrateCollection(
+        db.collection(name)
+      );
+      console.log(
+        `${name}: ${updated} ${dryRun ? "would be updated" : "updated"}, ${
+          unmatched.length
+        } unmatched`
+      );
+      for (const doc of unmatched) {
+        console.log(
+          `  ${doc._id}: ${[doc.division, doc.district, doc.upazila].join(
+            " / "
+          )} (${doc.error})`
+        );
+      }
+    }
+  } finally {
+    await client.close();
+  }
+};
+
+main().catch((error) => {
+  console.error("Location migration failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,144 @@
+/**
+ * One-off cleanup: release duplicate active donor assignments so the
+ * unique assignment indexes the server creates on startup can be built.
+ *
+ * - A donor may be "inprogress" on one request only: the one accepted
+ *   first is kept.
+ * - A requester may have a donor on one active request only: the
+ *   inprogress one (or else the oldest) is kept.
+ *
+ * Every other request loses its donor and goes back to the open board as
+ * pending, with a status.history entry from the system.
+ *
+ * Usage: node scripts/resolve-duplicate-assignments.js [--dry-run]
+ * Reads MONGODB_URI from .env like the server. Released requests are
+ * listed so their requesters can be contacted.
+ */
+
+require("dotenv").config();
+
+const { MongoClient } = require("mongodb");
+
+const dryRun = process.argv.includes("--dry-run");
+
+// When the request went inprogress, falling back to when it was created
+const acceptedAt = (doc) =>
+  String(
+    doc.status.history?.findLast((entry) => entry.status === "inprogress")
+      ?.changedAt ||
+      doc.createdAt ||
+      ""
+  );
+
+const groupBy = (docs, getKey) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const key = getKey(doc);
+    groups.set(key, [...(groups.get(key) || []), doc]);
+  }
+  return [...groups.values()].filter((group) => group.length > 1);
+};
+
+/**
+ * Pick the requests to release, keeping one per donor and one per
+ * requester and donor pair
+ * @param {object[]} docs - Active requests with a donor
+ * @returns {{ doc: object, reason: string }[]}
+ */
+const planReleases = (docs) => {
+  const released = [];
+
+  const inProgress = docs.filter((doc) => doc.status.current === "inprogress");
+  for (const group of groupBy(inProgress, (doc) => doc.donor.email)) {
+    group.sort((a, b) => acceptedAt(a).localeCompare(acceptedAt(b)));
+    for (const doc of group.slice(1)) {
+      released.push({ doc, reason: "Donor is helping another patient" });
+    }
+  }
+
+  const remaining = docs.filter(
+    (doc) => !released.some((item) => item.doc === doc)
+  );
+  const pairs = groupBy(
+    remaining,
+    (doc) => `${doc.requester?.email}\n${doc.donor.email}`
+  );
+  for (const group of pairs) {
+    group.sort(
+      (a, b) =>
+        (b.status.current === "inprogress") -
+          (a.status.current === "inprogress") ||
+        String(a.createdAt || "").localeCompare(String(b.createdAt || ""))
+    );
+    for (const doc of group.slice(1)) {
+      released.push({
+        doc,
+        reason: "Donor is already assigned to another of your requests",
+      });
+    }
+  }
+
+  return released;
+};
+
+const main = async () => {
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    const collection = client.db("blood-donation").collection("blood-requests");
+    // Same scope as the partial filters of the unique indexes
+    const docs = await collection
+      .find({
+        "donor.email": { $type: "string" },
+        "status.current": { $in: ["pending", "inprogress"] },
+      })
+      .toArray();
+
+    const releases = planReleases(docs);
+    const changedAt = new Date().toISOString();
+
+    if (releases.length && !dryRun) {
+      await collection.bulkWrite(
+        releases.map(({ doc, reason }) => ({
+          updateOne: {
+            filter: { _id: doc._id, "status.current": doc.status.current },
+            update: {
+              $set: {
+                "status.current": "pending",
+                isOpen: true,
+                volunteers: doc.volunteers || [],
+                updatedAt: changedAt,
+              },
+              $unset: { donor: "" },
+              $push: {
+                "status.history": {
+                  status: "pending",
+                  changedAt,
+                  changedBy: { name: "System", role: "system" },
+                  reason,
+                },
+              },
+            },
+          },
+        }))
+      );
+    }
+
+    console.log(
+      `${releases.length} requests ${
+        dryRun ? "would be released" : "released"
+      } back to the open board`
+    );
+    for (const { doc, reason } of releases) {
+      console.log(
+        `  ${doc._id}: ${doc.status.current}, donor ${doc.donor.email}, requester ${doc.requester?.email} (${reason})`
+      );
+    }
+  } finally {
+    await client.close();
+  }
+};
+
+main().catch((error) => {
+  console.error("Resolving duplicate assignments failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, insertUser, insertRequest } = require("./helpers");
+
+// Parallel writes against a real mongod: the unique partial indexes, not
+// the route checks, must keep a donor on at most one active assignment.
+
+let ctx;
+let requests;
+
+const donor = { name: "Donor", email: "donor@example.com", bloodGroup: "O-" };
+const requesters = ["first", "second"].map((name) => ({
+  name,
+  email: `${name}@example.com`,
+  bloodGroup: "A+",
+}));
+
+const call = (...args) => ctx.call(...args);
+
+// Exactly one of the parallel writes may succeed, the rest get a 409
+const assertSingleWinner = (responses) => {
+  const statuses = responses.map((res) => res.status).sort();
+  assert.deepEqual(statuses, [200, ...Array(statuses.length - 1).fill(409)]);
+};
+
+before(async () => {
+  ctx = await startApp();
+  requests = ctx.db.collection("blood-requests");
+});
+
+beforeEach(async () => {
+  await ctx.db.collection("users").deleteMany({});
+  await requests.deleteMany({});
+  for (const user of [donor, ...requesters]) await insertUser(ctx.db, user);
+});
+
+after(() => ctx?.stop());
+
+describe("concurrent donor assignment", () => {
+  it("lets a donor accept only one of two requests", async () => {
+    const ids = await Promise.all(
+      requesters.map((requester) =>
+        insertRequest(ctx.db, requester, {
+          donor: { name: donor.name, email: donor.email },
+          isOpen: false,
+        })
+      )
+    );
+
+    const responses = await Promise.all(
+      ids.map((id) =>
+        call("PATCH", `/blood-requests/${id}`, donor, { action: "accept" })
+      )
+    );
+
+    assertSingleWinner(responses);
+    assert.equal(
+      await requests.countDocuments({ "status.current": "inprogress" }),
+      1
+    );
+  });
+
+  it("lets two requesters assign the same volunteer only once", async () => {
+    const ids = await Promise.all(
+      requesters.map((requester) =>
+        insertRequest(ctx.db, requester, {
+          volunteers: [{ name: donor.name, email: donor.email }],
+        })
+      )
+    );
+
+    const responses = await Promise.all(
+      ids.map((id, i) =>
+        call("POST", `/blood-requests/${id}/assign`, requesters[i], {
+          email: donor.email,
+        })
+      )
+    );
+
+    assertSingleWinner(responses);
+    assert.equal(
+      await requests.countDocuments({ "donor.email": donor.email }),
+      1
+    );
+  });
+
+  it("keeps a requester from assigning one donor to two requests", async () => {
+    const [requester] = requesters;
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push(
+        await insertRequest(ctx.db, requester, {
+          volunteers: [{ name: donor.name, email: donor.email }],
+        })
+      );
+    }
+
+    const responses = await Promise.all(
+      ids.map((id) =>
+        call("POST", `/blood-requests/${id}/assign`, requester, {
+          email: donor.email,
+        })
+      )
+    );
+
+    assertSingleWinner(responses);
+    const assigned = await requests
+      .find({ "donor.email": donor.email })
+      .toArray();
+    assert.equal(assigned.length, 1);
+    assert.ok(ids.some((id) => id.equals(assigned[0]._id)));
+  });
+});
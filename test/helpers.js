@@ -0,0 +1,88 @@
+const jwt = require("jsonwebtoken");
+const { MongoClient } = require("mongodb");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+/**
+ * Start the app against a fresh in-memory MongoDB
+ * @returns {Promise<object>} - { app, db, call, stop }; call(method, path,
+ *   user, body) sends a request signed in as user
+ */
+const startApp = async () => {
+  const mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  process.env.ACCESS_TOKEN_SECRETE = "test-secret";
+  process.env.RATE_LIMIT_STORE = "memory";
+  // Change streams need a replica set
+  process.env.EVENT_TRANSPORT = "memory";
+
+  const app = require("..");
+  const server = app.listen(0);
+  const baseUrl = `http://localhost:${server.address().port}`;
+  // Resolves once run() has created the indexes and registered the routes
+  await fetch(baseUrl);
+
+  const client = await MongoClient.connect(mongod.getUri());
+
+  const call = (method, path, user, body) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${jwt.sign(
+          { email: user.email, id: user._id.toString() },
+          process.env.ACCESS_TOKEN_SECRETE
+        )}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+  // The app's own MongoClient stays open, hence --test-force-exit in npm test
+  const stop = async () => {
+    server.close();
+    await client.close();
+    await mongod.stop();
+  };
+
+  return { app, db: client.db("blood-donation"), call, stop };
+};
+
+/**
+ * Insert a donor account and set its _id on the given object
+ * @param {object} db - Test database
+ * @param {object} user - { name, email, bloodGroup }
+ * @returns {Promise<object>} - The same user
+ */
+const insertUser = async (db, user) => {
+  const { _id, ...fields } = user;
+  ({ insertedId: user._id } = await db.collection("users").insertOne({
+    ...fields,
+    role: "donor",
+    deletedAt: null,
+  }));
+  return user;
+};
+
+/**
+ * Insert a pending blood request
+ * @param {object} db - Test database
+ * @param {object} requester - { name, email }
+ * @param {object} [fields] - Fields to add or override
+ * @returns {Promise<object>} - Inserted ObjectId
+ */
+const insertRequest = async (db, requester, fields) => {
+  const { insertedId } = await db.collection("blood-requests").insertOne({
+    recipientName: "Patient",
+    bloodGroup: "A+",
+    units: 1,
+    urgency: "normal",
+    requester: { name: requester.name, email: requester.email },
+    status: { current: "pending", history: [] },
+    isOpen: true,
+    deletedAt: null,
+    createdAt: new Date().toISOString(),
+    ...fields,
+  });
+  return insertedId;
+};
+
+module.exports = { startApp, insertUser, insertRequest };
@@ -0,0 +1,58 @@
+const { after, before, beforeEach, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryChannel } = require("../utils/notifications");
+const { startApp, insertUser, insertRequest } = require("./helpers");
+
+let ctx;
+let channel;
+
+const donor = { name: "Donor", email: "donor@example.com", bloodGroup: "O-" };
+const requester = {
+  name: "Requester",
+  email: "requester@example.com",
+  bloodGroup: "A+",
+};
+
+before(async () => {
+  ctx = await startApp();
+});
+
+beforeEach(async () => {
+  await ctx.db.collection("users").deleteMany({});
+  await ctx.db.collection("blood-requests").deleteMany({});
+  await insertUser(ctx.db, donor);
+  await insertUser(ctx.db, requester);
+
+  channel = createMemoryChannel();
+  ctx.app.locals.notifications.setChannels([channel]);
+});
+
+after(() => ctx?.stop());
+
+describe("status change notifications", () => {
+  it("notifies the requester when the donor accepts", async () => {
+    const id = await insertRequest(ctx.db, requester, {
+      donor: { name: donor.name, email: donor.email },
+      isOpen: false,
+    });
+
+    const res = await ctx.call("PATCH", `/blood-requests/${id}`, donor, {
+      action: "accept",
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      channel.sent.map(({ recipientEmail, type }) => ({
+        recipientEmail,
+        type,
+      })),
+      [{ recipientEmail: requester.email, type: "request.inprogress" }]
+    );
+    assert.equal(
+      await ctx.db
+        .collection("notifications")
+        .countDocuments({ recipientEmail: requester.email }),
+      1
+    );
+  });
+});
@@ -0,0 +1,68 @@
+const IGNORED_FIELDS = ["_id", "updatedAt"];
+
+/**
+ * Field-level diff between two versions of a document (top-level fields)
+ * @param {object|null} before - Document before the change
+ * @param {object|null} after - Document after the change
+ * @returns {object} - { [field]: { before, after } } for every changed field
+ */
+const diffDocuments = (before, after) => {
+  const changes = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { before: from ?? null, after: to ?? null };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Create the append-only audit logger
+ * @param {object} options - Options
+ * @param {object} options.collection - MongoDB audit collection
+ * @returns {{ record: Function }}
+ */
+const createAuditLog = ({ collection }) => {
+  /**
+   * Append one audit entry. Never throws: auditing must not fail the
+   * request that is being audited.
+   * @param {object} entry - Entry fields
+   * @param {object|null} entry.actor - { email, name, role }, { system: true } or null
+   * @param {string} entry.action - Dotted action name, e.g. "user.role"
+   * @param {object} entry.target - { type, id }
+   * @param {object|null} [entry.before] - Document before the change
+   * @param {object|null} [entry.after] - Document after the change
+   * @param {string|null} [entry.ip] - Caller IP address
+   * @returns {Promise<void>}
+   */
+  const record = async ({ actor, action, target, before, after, ip }) => {
+    try {
+      await collection.insertOne({
+        actor: actor?.system
+          ? { system: true, name: "System", role: "system" }
+          : actor
+            ? { email: actor.email, name: actor.name, role: actor.role }
+            : null,
+        action,
+        target: { type: target.type, id: target.id?.toString() ?? null },
+        changes: diffDocuments(before, after),
+        ip: ip || null,
+        createdAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error writing audit log:", error);
+    }
+  };
+
+  return { record };
+};
+
+module.exports = { diffDocuments, createAuditLog };
@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { initializeApp, getApps } = require("firebase-admin/app");
+const { getAuth } = require("firebase-admin/auth");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const REFRESH_TOKEN_MAX_AGE = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Verify a Firebase ID token from the frontend's sign-in. Only the project
+ * ID is needed: signatures are checked against Google's public keys.
+ * @param {string} idToken - ID token from firebase.auth().currentUser
+ * @returns {Promise<object>} - Decoded token (email, email_verified, ...)
+ */
+const verifyIdToken = (idToken) => {
+  const app =
+    getApps()[0] ||
+    initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID });
+  return getAuth(app).verifyIdToken(idToken);
+};
+
+/**
+ * Cookie options shared by the access and refresh token cookies.
+ * Cross-site cookies (frontend on another origin) need `sameSite: "none"`
+ * together with `secure`, which browsers only accept over HTTPS.
+ * @param {number} [maxAge] - Cookie lifetime in milliseconds (optional)
+ * @returns {object} - Options for res.cookie / res.clearCookie
+ */
+const cookieOptions = (maxAge) => {
+  const isProduction = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? "none" : "strict",
+    ...(maxAge && { maxAge }),
+  };
+};
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {object} user - User document
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user) =>
+  jwt.sign(
+    { email: user.email, id: user._id.toString() },
+    process.env.ACCESS_TOKEN_SECRETE,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+/**
+ * Hash a refresh token so the raw value is never stored
+ * @param {string} token - Raw refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Generate a new opaque refresh token and the document to persist for it
+ * @param {object} user - User document
+ * @param {string} [familyId] - Rotation family, kept across refreshes (optional)
+ * @returns {{ token: string, record: object }} - Raw token and DB record
+ */
+const createRefreshToken = (user, familyId) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const now = new Date();
+
+  return {
+    token,
+    record: {
+      tokenHash: hashToken(token),
+      familyId: familyId || crypto.randomUUID(),
+      userId: user._id,
+      email: user.email,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_MAX_AGE),
+      revokedAt: null,
+      replacedBy: null,
+    },
+  };
+};
+
+/**
+ * Set the access and refresh token cookies on a response
+ * @param {object} res - Express response object
+ * @param {string} accessToken - Signed access token
+ * @param {string} refreshToken - Raw refresh token
+ */
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  // The cookie lives exactly as long as the token (ACCESS_TOKEN_EXPIRES_IN)
+  const { exp } = jwt.decode(accessToken);
+  res.cookie("token", accessToken, cookieOptions(exp * 1000 - Date.now()));
+  res.cookie(
+    "refreshToken",
+    refreshToken,
+    cookieOptions(REFRESH_TOKEN_MAX_AGE)
+  );
+};
+
+/**
+ * Clear the access and refresh token cookies
+ * @param {object} res - Express response object
+ */
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions());
+  res.clearCookie("refreshToken", cookieOptions());
+};
+
+module.exports = {
+  verifyIdToken,
+  cookieOptions,
+  signAccessToken,
+  hashToken,
+  createRefreshToken,
+  setAuthCookies,
+  clearAuthCookies,
+};
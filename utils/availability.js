@@ -0,0 +1,176 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Weekly windows and donation times are local times. Bangladesh has no
+ * daylight saving, so a fixed offset from UTC is enough.
+ */
+const UTC_OFFSET_MINUTES = process.env.AVAILABILITY_UTC_OFFSET_MINUTES
+  ? parseInt(process.env.AVAILABILITY_UTC_OFFSET_MINUTES)
+  : 6 * 60;
+const OFFSET_MS = UTC_OFFSET_MINUTES * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Local weekday (0 = Sunday), "HH:MM" time and midnight of a moment
+ * @param {Date} date - Moment in time
+ * @returns {{ day: number, time: string, midnight: number }}
+ */
+const toLocal = (date) => {
+  const local = new Date(date.getTime() + OFFSET_MS);
+  return {
+    day: local.getUTCDay(),
+    time: `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}`,
+    midnight:
+      Date.UTC(
+        local.getUTCFullYear(),
+        local.getUTCMonth(),
+        local.getUTCDate()
+      ) - OFFSET_MS,
+  };
+};
+
+// "HH:MM" on the local day starting at midnight, as epoch milliseconds
+const atLocalTime = (midnight, time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return midnight + (hours * 60 + minutes) * 60 * 1000;
+};
+
+/**
+ * Start of the next weekly window after a moment
+ * @param {object[]} weekly - [{ day, start, end }]
+ * @param {Date} after - Reference time
+ * @returns {string|null} - ISO timestamp, null if there are no windows
+ */
+const nextWindowStart = (weekly, after) => {
+  const { midnight } = toLocal(after);
+  for (let offset = 0; offset <= 7; offset++) {
+    const dayStart = midnight + offset * DAY_MS;
+    const day = toLocal(new Date(dayStart)).day;
+    const starts = weekly
+      .filter((w) => w.day === day)
+      .map((w) => atLocalTime(dayStart, w.start))
+      .filter((start) => start > after.getTime())
+      .sort((a, b) => a - b);
+    if (starts.length) return new Date(starts[0]).toISOString();
+  }
+  return null;
+};
+
+/**
+ * Whether a donor is available at a moment, or at some point of a local day
+ * @param {object} user - User document (availability)
+ * @param {Date} [at=new Date()] - Moment (or any moment of the day) to check
+ * @param {object} [options] - Options
+ * @param {boolean} [options.wholeDay=false] - Check the local day of `at`
+ *   instead of the exact moment (used when no donation time is known)
+ * @returns {{ available: boolean, availableFrom: string|null, reason: string|null }}
+ */
+const getAvailability = (user, at = new Date(), options = {}) => {
+  const {
+    available,
+    unavailableUntil,
+    reason,
+    weekly = [],
+  } = user.availability || {};
+  const local = toLocal(at);
+  const checkAt = options.wholeDay ? local.midnight + DAY_MS - 1 : at.getTime();
+
+  if (
+    available === false &&
+    (!unavailableUntil || new Date(unavailableUntil).getTime() > checkAt)
+  ) {
+    return {
+      available: false,
+      availableFrom: unavailableUntil || null,
+      reason: reason || "Donor is currently unavailable",
+    };
+  }
+
+  if (weekly.length) {
+    const inWindow = options.wholeDay
+      ? weekly.some((w) => w.day === local.day)
+      : weekly.some(
+          (w) =>
+            w.day === local.day && w.start <= local.time && local.time < w.end
+        );
+    if (!inWindow) {
+      return {
+        available: false,
+        availableFrom: nextWindowStart(weekly, at),
+        reason: "Outside the donor's availability hours",
+      };
+    }
+  }
+
+  return { available: true, availableFrom: null, reason: null };
+};
+
+/**
+ * MongoDB filter matching donors available at a moment
+ * @param {Date} [at=new Date()] - Reference time
+ * @returns {object} - Query fragment to merge with other filters
+ */
+const getAvailabilityQuery = (at = new Date()) => {
+  const { day, time } = toLocal(at);
+
+  return {
+    $and: [
+      {
+        $or: [
+          { "availability.available": { $ne: false } },
+          {
+            "availability.unavailableUntil": {
+              $ne: null,
+              $lte: at.toISOString(),
+            },
+          },
+        ],
+      },
+      {
+        $or: [
+          { "availability.weekly.0": { $exists: false } },
+          {
+            "availability.weekly": {
+              $elemMatch: { day, start: { $lte: time }, end: { $gt: time } },
+            },
+          },
+        ],
+      },
+    ],
+  };
+};
+
+/**
+ * Moment a blood request asks the donor to give blood
+ * @param {string} donationDate - ISO date of the donation
+ * @param {string} [donationTime] - Local "HH:MM", optional
+ * @returns {Date|null} - null when the date is missing or invalid
+ */
+const getDonationMoment = (donationDate, donationTime) => {
+  const date = donationDate && new Date(donationDate);
+  if (!date || isNaN(date)) return null;
+  if (!donationTime) return date;
+  return new Date(atLocalTime(toLocal(date).midnight, donationTime));
+};
+
+/**
+ * Deadline of a blood request that gives no requiredBy: the donation time,
+ * or the end of the local donation day when only a date is known
+ * @param {string} donationDate - ISO date of the donation
+ * @param {string} [donationTime] - Local "HH:MM", optional
+ * @returns {Date|null} - null when the date is missing or invalid
+ */
+const getDonationDeadline = (donationDate, donationTime) => {
+  const moment = getDonationMoment(donationDate, donationTime);
+  if (!moment || donationTime) return moment;
+  return new Date(toLocal(moment).midnight + DAY_MS - 1);
+};
+
+module.exports = {
+  UTC_OFFSET_MINUTES,
+  getAvailability,
+  getAvailabilityQuery,
+  getDonationMoment,
+  getDonationDeadline,
+};
@@ -0,0 +1,40 @@
+const sanitizeHtml = require("sanitize-html");
+
+const BLOG_STATUSES = ["draft", "published"];
+
+/**
+ * Strip scripts, event handlers and unknown tags from rich-text blog content
+ * @param {string} html - Raw HTML from the editor
+ * @returns {string} - Sanitized HTML
+ */
+const sanitizeContent = (html = "") =>
+  sanitizeHtml(html, {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+      "img",
+      "h1",
+      "h2",
+      "span",
+    ]),
+    allowedAttributes: {
+      ...sanitizeHtml.defaults.allowedAttributes,
+      img: ["src", "alt", "title", "width", "height"],
+      "*": ["class"],
+    },
+    allowedSchemes: ["http", "https", "mailto"],
+  });
+
+/**
+ * Build a URL-friendly slug from a blog title
+ * @param {string} title - Blog title
+ * @returns {string} - Lowercase, hyphen-separated slug
+ */
+const slugify = (title = "") =>
+  title
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/[\s_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+module.exports = { BLOG_STATUSES, sanitizeContent, slugify };
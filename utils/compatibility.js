@@ -0,0 +1,92 @@
+const ABO_GROUPS = ["A", "B", "AB", "O"];
+const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+const COMPONENTS = ["redCells", "plasma", "platelets"];
+
+/**
+ * ABO groups a recipient can receive from, per component.
+ * Red cells follow antigen compatibility (O is the universal donor);
+ * plasma is the reverse (AB is the universal donor). Platelets are
+ * suspended in plasma, so they follow the plasma ABO rule.
+ */
+const ABO_DONORS = {
+  redCells: {
+    O: ["O"],
+    A: ["A", "O"],
+    B: ["B", "O"],
+    AB: ["AB", "A", "B", "O"],
+  },
+  plasma: {
+    O: ["O", "A", "B", "AB"],
+    A: ["A", "AB"],
+    B: ["B", "AB"],
+    AB: ["AB"],
+  },
+};
+ABO_DONORS.platelets = ABO_DONORS.plasma;
+
+/**
+ * Whether Rh- recipients must receive Rh- donations.
+ * Plasma carries no red cells, so the Rh factor does not matter for it.
+ */
+const RH_RESTRICTED = { redCells: true, plasma: false, platelets: true };
+
+/**
+ * Parse a blood group string such as "ab+" or "O-".
+ * A "+" in a query string is decoded as a space, so "A " means "A+".
+ * @param {string} input - Raw blood group
+ * @returns {{ abo: string, rh: string|null }|null} - rh is null when omitted
+ */
+const parseBloodGroup = (input) => {
+  if (typeof input !== "string") return null;
+
+  const match = input
+    .replace(/^\s+/, "")
+    .replace(/^([a-z]{1,2})\s+$/i, "$1+")
+    .toUpperCase()
+    .replace(/[^A-Z+-]/g, "")
+    .match(/^(AB|A|B|O)([+-])?$/);
+
+  if (!match) return null;
+  return { abo: match[1], rh: match[2] || null };
+};
+
+/**
+ * List every donor blood group that can give to a recipient
+ * @param {string} recipientGroup - Recipient blood group, e.g. "A-"
+ * @param {string} [component="redCells"] - redCells, plasma or platelets
+ * @returns {string[]|null} - Compatible donor groups, null if input is invalid
+ */
+const getCompatibleDonorGroups = (recipientGroup, component = "redCells") => {
+  const parsed = parseBloodGroup(recipientGroup);
+  if (!parsed || !parsed.rh || !COMPONENTS.includes(component)) return null;
+
+  const rhFactors =
+    RH_RESTRICTED[component] && parsed.rh === "-" ? ["-"] : ["+", "-"];
+
+  return ABO_DONORS[component][parsed.abo].flatMap((abo) =>
+    rhFactors.map((rh) => `${abo}${rh}`)
+  );
+};
+
+/**
+ * Check whether a donor can give a component to a recipient
+ * @param {string} donorGroup - Donor blood group
+ * @param {string} recipientGroup - Recipient blood group
+ * @param {string} [component="redCells"] - redCells, plasma or platelets
+ * @returns {boolean}
+ */
+const isCompatible = (donorGroup, recipientGroup, component = "redCells") => {
+  const donor = parseBloodGroup(donorGroup);
+  const groups = getCompatibleDonorGroups(recipientGroup, component);
+  if (!donor?.rh || !groups) return false;
+  return groups.includes(`${donor.abo}${donor.rh}`);
+};
+
+module.exports = {
+  ABO_GROUPS,
+  BLOOD_GROUPS,
+  COMPONENTS,
+  parseBloodGroup,
+  getCompatibleDonorGroups,
+  isCompatible,
+};
@@ -0,0 +1,98 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one value as a CSV cell (RFC 4180 quoting). Values that a
+ * spreadsheet would treat as a formula are prefixed with a quote.
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+        ? value.toString === Object.prototype.toString
+          ? JSON.stringify(value)
+          : value.toString()
+        : String(value);
+
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row of values as one CSV line, including the line break
+ * @param {any[]} values - Cell values
+ * @returns {string}
+ */
+const formatCsvRow = (values) => `${values.map(formatCell).join(",")}\r\n`;
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, line breaks inside
+ * quotes, CRLF or LF line endings). Blank lines are skipped.
+ * @param {string} text - CSV document
+ * @returns {{ rows: string[][], error: string|null }} - Rows with their
+ *   1-based line numbers in rows[i].line
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    cell = "";
+    rowLine = line;
+  };
+
+  // A UTF-8 byte order mark is common in spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      line++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    return { rows, error: `Unclosed quote starting on line ${rowLine}` };
+  }
+  if (cell !== "" || row.length) endRow();
+  return { rows, error: null };
+};
+
+module.exports = { formatCsvRow, parseCsv };
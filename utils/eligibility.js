@@ -0,0 +1,85 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Minimum days between donations, per donated component.
+ * Override the whole blood interval with WHOLE_BLOOD_DEFERRAL_DAYS.
+ */
+const DEFERRAL_DAYS = {
+  wholeBlood: parseInt(process.env.WHOLE_BLOOD_DEFERRAL_DAYS) || 90,
+  plasma: parseInt(process.env.PLASMA_DEFERRAL_DAYS) || 28,
+  platelets: parseInt(process.env.PLATELETS_DEFERRAL_DAYS) || 7,
+};
+
+/**
+ * Compute when a donor may give blood again
+ * @param {object} user - User document (lastDonationAt, deferral)
+ * @param {object} [options] - Options
+ * @param {string} [options.component="wholeBlood"] - Component of last donation
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {{ eligible: boolean, eligibleFrom: string|null, reason: string|null }}
+ */
+const getEligibility = (user, options = {}) => {
+  const { component = "wholeBlood", now = new Date() } = options;
+  const candidates = [];
+
+  if (user.lastDonationAt) {
+    const days = DEFERRAL_DAYS[component] || DEFERRAL_DAYS.wholeBlood;
+    candidates.push({
+      until: new Date(new Date(user.lastDonationAt).getTime() + days * DAY_MS),
+      reason: `Minimum ${days} days between donations`,
+    });
+  }
+
+  if (user.deferral?.until) {
+    candidates.push({
+      until: new Date(user.deferral.until),
+      reason: user.deferral.reason || "Deferred by admin",
+    });
+  }
+
+  // The latest deferral wins
+  const blocking = candidates
+    .filter((c) => c.until > now)
+    .sort((a, b) => b.until - a.until)[0];
+
+  if (!blocking) {
+    return { eligible: true, eligibleFrom: null, reason: null };
+  }
+  return {
+    eligible: false,
+    eligibleFrom: blocking.until.toISOString(),
+    reason: blocking.reason,
+  };
+};
+
+/**
+ * MongoDB filter matching only donors who are eligible right now
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {object} - Query fragment to merge with other filters
+ */
+const getEligibilityQuery = (now = new Date()) => {
+  const lastAllowed = new Date(
+    now.getTime() - DEFERRAL_DAYS.wholeBlood * DAY_MS
+  ).toISOString();
+
+  return {
+    $and: [
+      {
+        $or: [
+          { lastDonationAt: { $exists: false } },
+          { lastDonationAt: null },
+          { lastDonationAt: { $lte: lastAllowed } },
+        ],
+      },
+      {
+        $or: [
+          { "deferral.until": { $exists: false } },
+          { "deferral.until": null },
+          { "deferral.until": { $lte: now.toISOString() } },
+        ],
+      },
+    ],
+  };
+};
+
+module.exports = { DEFERRAL_DAYS, getEligibility, getEligibilityQuery };
@@ -0,0 +1,194 @@
+const { EventEmitter } = require("events");
+
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Transport interface.
+ * A transport carries events between the instance that publishes them and
+ * the instances holding the streams. It has an async `send(event)` and a
+ * `watch(lastId, onEvent, onError)` that calls onEvent(id, event) for every
+ * event sent after lastId (or from now on when lastId is empty) and
+ * returns a function that stops watching.
+ * Events are { type, data, emails, roles }.
+ */
+
+/**
+ * Transport inside one process. Only correct for a single long-running
+ * server (e.g. local development); streams cannot resume across restarts.
+ * @returns {object} - Event transport
+ */
+const createMemoryTransport = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let nextId = 1;
+
+  return {
+    name: "memory",
+    send: async (event) => {
+      emitter.emit("event", String(nextId++), event);
+    },
+    watch: (lastId, onEvent) => {
+      emitter.on("event", onEvent);
+      return () => emitter.off("event", onEvent);
+    },
+  };
+};
+
+/**
+ * Transport shared by every server instance: events are inserted into a
+ * MongoDB collection and read back through a change stream, so a stream on
+ * one instance sees events published by any other. Event ids are change
+ * stream resume tokens, which lets a reconnecting client pick up exactly
+ * where it left off. Needs a replica set (Atlas) and a TTL index on
+ * createdAt.
+ * @param {object} options - Options
+ * @param {object} options.collection - MongoDB events collection
+ * @returns {object} - Event transport
+ */
+const createMongoTransport = ({ collection }) => ({
+  name: "mongo",
+  send: async (event) => {
+    await collection.insertOne({ ...event, createdAt: new Date() });
+  },
+  watch: (lastId, onEvent, onError) => {
+    const stream = collection.watch([{ $match: { operationType: "insert" } }], {
+      ...(lastId && { resumeAfter: { _data: lastId } }),
+    });
+    stream.on("change", (change) =>
+      onEvent(change._id._data, change.fullDocument)
+    );
+    stream.on("error", onError);
+    return () => {
+      stream.close().catch(() => {});
+    };
+  },
+});
+
+/**
+ * Format one Server-Sent Events frame
+ * @param {string} id - Event id
+ * @param {string} type - Event name
+ * @param {any} data - JSON-serializable payload
+ * @returns {string}
+ */
+const formatEvent = (id, type, data) =>
+  `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Internal events that act on open streams instead of reaching the browser
+const UPDATE_CLIENT = "stream.update";
+const DISCONNECT = "stream.disconnect";
+
+/**
+ * Create the hub that pushes events to connected SSE clients.
+ * Each client is tied to one user; events are addressed either to users
+ * by email or to everyone holding one of the given roles.
+ * @param {object} options - Options
+ * @param {object} options.transport - Event transport
+ * @param {number} [options.maxStreamMs] - Close streams after this long so
+ *   they end before a serverless function's time limit; the browser
+ *   reconnects and resumes from the last event id (0 = never)
+ * @returns {object} - { subscribe, publish, updateClient, disconnect }
+ */
+const createEventHub = ({ transport, maxStreamMs = 0 }) => {
+  const send = (event) =>
+    transport.send(event).catch((error) => {
+      console.error(`Event transport ${transport.name} failed:`, error);
+    });
+
+  /**
+   * Turn a response into an event stream for a user
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {object} user - { email, role }
+   */
+  const subscribe = (req, res, user) => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const client = { email: user.email, role: user.role };
+    let closed = false;
+    let stopWatching = () => {};
+    let heartbeat;
+    let timeLimit;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      stopWatching();
+      clearInterval(heartbeat);
+      clearTimeout(timeLimit);
+      res.end();
+    };
+
+    const onEvent = (id, { type, data, emails = [], roles = [] }) => {
+      if (closed) return;
+      if (!emails.includes(client.email) && !roles.includes(client.role)) {
+        return;
+      }
+      if (type === UPDATE_CLIENT) return Object.assign(client, data);
+      if (type === DISCONNECT) return close();
+      res.write(formatEvent(id, type, data));
+    };
+
+    const onError = (error) => {
+      console.error("Event stream failed:", error);
+      // An empty id clears the browser's Last-Event-ID, so a resume point
+      // that is no longer available is not retried forever
+      res.write("id\n\n");
+      close();
+    };
+
+    stopWatching = transport.watch(req.get("Last-Event-ID"), onEvent, onError);
+    // Comment lines keep proxies from closing an idle connection
+    heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    if (maxStreamMs) timeLimit = setTimeout(close, maxStreamMs);
+    res.write(
+      `event: ready\ndata: ${JSON.stringify({ email: user.email })}\n\n`
+    );
+
+    req.on("close", close);
+  };
+
+  /**
+   * Push an event to every matching client
+   * @param {string} type - Event name, e.g. "request.status"
+   * @param {any} data - Payload
+   * @param {object} audience - Who receives it
+   * @param {string[]} [audience.emails=[]] - Specific users
+   * @param {string[]} [audience.roles=[]] - Everyone with one of these roles
+   * @returns {Promise<void>} - Never rejects; transport errors are logged
+   */
+  const publish = (type, data, { emails = [], roles = [] }) =>
+    send({ type, data, emails: emails.filter(Boolean), roles });
+
+  /**
+   * Update the stored identity of a user's open streams (e.g. new role)
+   * @param {string} email - User email
+   * @param {object} changes - Fields to merge, e.g. { role }
+   * @returns {Promise<void>}
+   */
+  const updateClient = (email, changes) =>
+    send({ type: UPDATE_CLIENT, data: changes, emails: [email], roles: [] });
+
+  /**
+   * Close every open stream of a user (e.g. after they are blocked)
+   * @param {string} email - User email
+   * @returns {Promise<void>}
+   */
+  const disconnect = (email) =>
+    send({ type: DISCONNECT, data: null, emails: [email], roles: [] });
+
+  return { subscribe, publish, updateClient, disconnect };
+};
+
+module.exports = {
+  createEventHub,
+  createMemoryTransport,
+  createMongoTransport,
+};
@@ -0,0 +1,120 @@
+const { once } = require("events");
+const { formatCsvRow } = require("./csv");
+
+/**
+ * Columns of each export, as dotted document paths. They double as the
+ * MongoDB projection, so nothing else ever leaves the database.
+ */
+const EXPORT_FIELDS = {
+  users: [
+    "_id",
+    "name",
+    "email",
+    "phone",
+    "bloodGroup",
+    "role",
+    "accountStatus",
+    // IDs make the file importable again; names keep it readable
+    "location.divisionId",
+    "location.districtId",
+    "location.upazilaId",
+    "location.division",
+    "location.district",
+    "location.upazila",
+    "lastDonationAt",
+    "createdAt",
+  ],
+  "blood-requests": [
+    "_id",
+    "recipientName",
+    "bloodGroup",
+    "units",
+    "urgency",
+    "hospitalName",
+    "fullAddress",
+    "location.district",
+    "location.upazila",
+    "donationDate",
+    "donationTime",
+    "requiredBy",
+    "status.current",
+    "requester.name",
+    "requester.email",
+    "donor.name",
+    "donor.email",
+    "createdAt",
+  ],
+  donations: [
+    "_id",
+    "requestId",
+    "donor.name",
+    "donor.email",
+    "recipientName",
+    "bloodGroup",
+    "units",
+    "hospital.name",
+    "status",
+    "donatedAt",
+  ],
+};
+
+const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+/**
+ * Stream every document of a cursor to the response as CSV or NDJSON,
+ * respecting backpressure. Stops reading when the client disconnects.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} cursor - MongoDB find cursor
+ * @param {object} options - Options
+ * @param {string} options.format - "csv" or "ndjson"
+ * @param {string[]} options.fields - Columns (dotted paths)
+ * @param {string} options.filename - Download name without extension
+ * @returns {Promise<number>} - Number of documents written
+ */
+const streamExport = async (req, res, cursor, { format, fields, filename }) => {
+  let closed = false;
+  req.on("close", () => {
+    closed = true;
+  });
+
+  res.set({
+    "Content-Type": EXPORT_FORMATS[format],
+    "Content-Disposition": `attachment; filename="${filename}.${format}"`,
+    "Cache-Control": "no-store",
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !closed) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  };
+
+  let count = 0;
+  try {
+    if (format === "csv") await write(formatCsvRow(fields));
+
+    for await (const doc of cursor) {
+      if (closed) break;
+      await write(
+        format === "csv"
+          ? formatCsvRow(fields.map((field) => getPath(doc, field)))
+          : `${JSON.stringify(doc)}\n`
+      );
+      count++;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+  return count;
+};
+
+module.exports = { EXPORT_FIELDS, EXPORT_FORMATS, streamExport };
@@ -1,3 +1,11 @@
+const { BSON } = require("mongodb");
+const {
+  parseBloodGroup,
+  getCompatibleDonorGroups,
+} = require("./compatibility");
+
+const { EJSON } = BSON;
+
 /**
  * Standardized response helper
  * @param {object} res - Express response object
@@ -25,57 +33,267 @@ const respond = (res, status, message, data = null, meta = {}) => {
   return res.status(status).json(response);
 };
 
+/**
+ * Exact blood group filter that respects the Rh factor.
+ * "A-" matches only A- donors; a bare "A" matches both A+ and A-.
+ * @param {string} bloodGroup - Blood group from the query string
+ * @returns {object} - MongoDB query fragment (empty when not filtering)
+ */
 const getBloodGroupQuery = (bloodGroup) => {
-  if (!bloodGroup) return {};
+  const parsed = parseBloodGroup(bloodGroup);
+  if (!parsed) return {};
+
+  if (parsed.rh) {
+    return { bloodGroup: `${parsed.abo}${parsed.rh}` };
+  }
+  return { bloodGroup: { $in: [`${parsed.abo}+`, `${parsed.abo}-`] } };
+};
+
+/**
+ * Filter for donors who can give a component to the given recipient group
+ * @param {string} recipientGroup - Patient blood group, e.g. "B-"
+ * @param {string} [component="redCells"] - redCells, plasma or platelets
+ * @returns {object|null} - MongoDB query fragment, null if input is invalid
+ */
+const getCompatibleDonorQuery = (recipientGroup, component = "redCells") => {
+  const groups = getCompatibleDonorGroups(recipientGroup, component);
+  if (!groups) return null;
+  return { bloodGroup: { $in: groups } };
+};
+
+/**
+ * Filter hiding soft-deleted documents (deletedAt unset or null)
+ * @param {boolean} [includeDeleted=false] - Return deleted documents too
+ * @returns {object} - MongoDB query fragment (empty when including deleted)
+ */
+const getDeletedQuery = (includeDeleted = false) =>
+  includeDeleted ? {} : { deletedAt: null };
+
+/**
+ * Combine query fragments that may use the same operators (e.g. two
+ * fragments each built on $and) into one filter
+ * @param {...(object|false|null)} fragments - Fragments; falsy ones are skipped
+ * @returns {object} - { $and: [...] }, or {} when there is nothing to match
+ */
+const combineQueries = (...fragments) => {
+  const parts = fragments.filter((f) => f && Object.keys(f).length);
+  return parts.length ? { $and: parts } : {};
+};
+
+/**
+ * Resolve whitelisted ?sort= and ?order= query parameters to a sort object
+ * @param {object} params - { sort, order } from the query string
+ * @param {object} allowed - { [name]: sort object in descending order }
+ * @param {string} fallback - Name used when no sort is given
+ * @returns {object|null} - MongoDB sort, null if sort or order is not allowed
+ */
+const getSortQuery = ({ sort, order = "desc" }, allowed, fallback) => {
+  const name = sort || fallback;
+  if (!Object.hasOwn(allowed, name) || !["asc", "desc"].includes(order)) {
+    return null;
+  }
+
+  const sign = order === "asc" ? -1 : 1;
+  return Object.fromEntries(
+    Object.entries(allowed[name]).map(([field, dir]) => [field, dir * sign])
+  );
+};
+
+// Read a possibly dotted path ("status.current") from a document
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc) ?? null;
+
+/**
+ * Encode the position of a document in a sort as an opaque cursor token
+ * @param {object} doc - Document at the edge of the current page
+ * @param {object} sort - Sort the page was read with (including _id)
+ * @param {string} direction - "next" or "prev"
+ * @returns {string} - URL-safe cursor token
+ */
+const encodeCursor = (doc, sort, direction) =>
+  Buffer.from(
+    EJSON.stringify({
+      d: direction,
+      s: Object.entries(sort),
+      v: Object.keys(sort).map((field) => getPath(doc, field)),
+    })
+  ).toString("base64url");
+
+/**
+ * Decode a cursor token produced by encodeCursor for the same sort
+ * @param {string} token - Cursor token from the query string
+ * @param {object} sort - Sort the caller is about to read with
+ * @returns {object|null} - { direction, values }, null if invalid or stale
+ */
+const decodeCursor = (token, sort) => {
+  try {
+    const { d, s, v } = EJSON.parse(
+      Buffer.from(String(token), "base64url").toString()
+    );
+    const stableSort = withTiebreaker(sort);
+    if (
+      !["next", "prev"].includes(d) ||
+      JSON.stringify(s) !== JSON.stringify(Object.entries(stableSort)) ||
+      !Array.isArray(v) ||
+      v.length !== s.length
+    ) {
+      return null;
+    }
+    return { direction: d, values: v };
+  } catch (error) {
+    return null;
+  }
+};
+
+// _id as the last sort key makes every sort a total order
+const withTiebreaker = (sort) => (sort._id ? sort : { ...sort, _id: -1 });
+
+/**
+ * Filter for documents strictly after a cursor position. Missing and null
+ * values sort before everything else, as they do in MongoDB.
+ * @param {object} sort - Stable sort the cursor was taken from
+ * @param {any[]} values - Sort key values at the cursor
+ * @returns {object} - MongoDB query fragment
+ */
+const getCursorQuery = (sort, values) => {
+  const fields = Object.keys(sort);
+  const clauses = [];
+
+  fields.forEach((field, i) => {
+    const value = values[i];
+    let beyond;
+    if (sort[field] === 1) {
+      beyond =
+        value === null
+          ? { [field]: { $ne: null } }
+          : { [field]: { $gt: value } };
+    } else if (value !== null) {
+      beyond = {
+        $or: [{ [field]: { $lt: value } }, { [field]: null }],
+      };
+    }
+    if (!beyond) return;
+
+    const equalBefore = fields
+      .slice(0, i)
+      .map((prev, j) => ({ [prev]: values[j] }));
+    clauses.push({ $and: [...equalBefore, beyond] });
+  });
 
-  const cleaned = bloodGroup
-    .trim()
-    .toUpperCase()
-    .replace(/[^A-Z+-]/g, "");
-  const baseGroup = cleaned.replace(/[+-]/g, "");
+  return { $or: clauses.length ? clauses : [{ _id: { $exists: false } }] };
+};
 
-  if (!baseGroup) return {};
+/**
+ * Read the list parameters (page, limit, cursor, sort, order, count) of a
+ * request into paginate options
+ * @param {object} params - Query string parameters
+ * @param {object} sorts - Allowed sorts, see getSortQuery
+ * @param {string} fallback - Sort name used when none is given
+ * @returns {object} - { options } for paginate, or { error } message
+ */
+const getListOptions = (params, sorts, fallback) => {
+  const { page = 1, limit = 10, cursor, count } = params;
+
+  const sort = getSortQuery(params, sorts, fallback);
+  if (!sort) {
+    return {
+      error: `sort must be one of ${Object.keys(sorts).join(
+        ", "
+      )} and order asc or desc`,
+    };
+  }
+  if (cursor && !decodeCursor(cursor, sort)) {
+    return { error: "Invalid cursor for this sort" };
+  }
 
   return {
-    bloodGroup: {
-      $regex: new RegExp(`^${baseGroup}[+-]?$`, "i"),
-    },
+    options: { page, limit, sort, cursor, count: count !== "false" },
   };
 };
 
 /**
- * Enhanced pagination helper
+ * Enhanced pagination helper.
+ * Pages by number (skip/limit) by default, or from an opaque cursor token
+ * when options.cursor is given. Both modes return nextCursor/prevCursor so
+ * a client can switch to cursors after the first page.
  * @param {object} collection - MongoDB collection
  * @param {object} query - MongoDB query object
  * @param {object} options - Pagination options
  * @param {number} options.page - Current page number
  * @param {number} options.limit - Items per page
  * @param {object} options.sort - Sorting criteria
+ * @param {object} [options.projection] - Fields to include/exclude (keep
+ *   the sort fields, cursors are built from them)
+ * @param {string} [options.cursor] - Cursor token from a previous meta;
+ *   routes check it with getListOptions first, so a bad token is a 400
+ * @param {boolean} [options.count=true] - Set false to skip countDocuments
  * @returns {object} - Paginated result with metadata
  */
 async function paginate(collection, query = {}, options = {}) {
-  const page = Math.max(parseInt(options.page) || 1, 1);
   const limit = Math.min(Math.max(parseInt(options.limit) || 10, 1), 100);
-  const skip = (page - 1) * limit;
-  const sort = options.sort || { _id: -1 };
+  const sort = withTiebreaker(options.sort || { _id: -1 });
+  const withCount = options.count !== false;
 
-  // Execute count and find in parallel
-  const [total, items] = await Promise.all([
-    collection.countDocuments(query),
-    collection.find(query).sort(sort).skip(skip).limit(limit).toArray(),
+  let cursor = null;
+  if (options.cursor) {
+    cursor = decodeCursor(options.cursor, sort);
+    if (!cursor) throw new Error("Invalid pagination cursor");
+  }
+
+  // Walking backwards reads the reversed sort, then flips the page back
+  const backwards = cursor?.direction === "prev";
+  const readSort = backwards
+    ? Object.fromEntries(Object.entries(sort).map(([f, d]) => [f, -d]))
+    : sort;
+  const page = cursor ? null : Math.max(parseInt(options.page) || 1, 1);
+  const findQuery = cursor
+    ? { $and: [query, getCursorQuery(readSort, cursor.values)] }
+    : query;
+
+  // One extra document tells whether another page exists without counting
+  const [total, found] = await Promise.all([
+    withCount ? collection.countDocuments(query) : null,
+    collection
+      .find(findQuery, { projection: options.projection })
+      .sort(readSort)
+      .skip(page ? (page - 1) * limit : 0)
+      .limit(limit + 1)
+      .toArray(),
   ]);
 
+  const hasMore = found.length > limit;
+  const items = found.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : cursor ? true : page > 1;
+
   return {
     items,
     meta: {
-      total,
-      page,
+      ...(withCount && { total }),
+      ...(page && { page }),
       limit,
-      totalPages: Math.ceil(total / limit),
-      hasNext: page * limit < total,
-      hasPrev: page > 1,
+      ...(withCount && page && { totalPages: Math.ceil(total / limit) }),
+      hasNext,
+      hasPrev,
+      nextCursor:
+        hasNext && items.length
+          ? encodeCursor(items[items.length - 1], sort, "next")
+          : null,
+      prevCursor:
+        hasPrev && items.length ? encodeCursor(items[0], sort, "prev") : null,
     },
   };
 }
 
-module.exports = { respond, getBloodGroupQuery, paginate };
\ No newline at end of file
+module.exports = {
+  respond,
+  getBloodGroupQuery,
+  getCompatibleDonorQuery,
+  getDeletedQuery,
+  combineQueries,
+  getSortQuery,
+  getListOptions,
+  paginate,
+};
@@ -0,0 +1,88 @@
+const { resolveLocationNames } = require("./locations");
+
+// Columns understood by the user import; header matching ignores case.
+// Location names are only used where the matching ID column is empty.
+const USER_IMPORT_COLUMNS = [
+  "name",
+  "email",
+  "bloodGroup",
+  "phone",
+  "avatar",
+  "divisionId",
+  "districtId",
+  "upazilaId",
+  "division",
+  "district",
+  "upazila",
+];
+const REQUIRED_IMPORT_COLUMNS = ["name", "email", "bloodGroup"];
+
+// The users export names location columns by path ("location.districtId")
+const toColumnKey = (header) =>
+  header
+    .trim()
+    .toLowerCase()
+    .replace(/^location\./, "");
+
+// Undo the formula guard added by the CSV export ("'+8801..." -> "+8801...")
+const unguard = (cell = "") =>
+  /^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell;
+
+/**
+ * Turn parsed CSV rows (the first one being the header) into user
+ * payloads ready for schema validation. A file from the users export can
+ * be imported as it is.
+ * @param {string[][]} csvRows - Output of parseCsv
+ * @returns {object} - { rows: [{ line, data, errors? }] } or { error };
+ *   errors lists location names that could not be resolved
+ */
+const readUserRows = (csvRows) => {
+  const [header, ...body] = csvRows;
+  if (!header) return { error: "The CSV file is empty" };
+
+  const columns = header.map((name) =>
+    USER_IMPORT_COLUMNS.find(
+      (column) => column.toLowerCase() === toColumnKey(name)
+    )
+  );
+  const missing = REQUIRED_IMPORT_COLUMNS.filter((c) => !columns.includes(c));
+  if (missing.length) {
+    return { error: `Missing required columns: ${missing.join(", ")}` };
+  }
+
+  const rows = body.map((row) => {
+    const cells = {};
+    columns.forEach((column, i) => {
+      if (column) cells[column] = unguard(row[i]).trim();
+    });
+
+    const {
+      divisionId,
+      districtId,
+      upazilaId,
+      division,
+      district,
+      upazila,
+      ...fields
+    } = cells;
+    const ids = { divisionId, districtId, upazilaId };
+    const names = { division, district, upazila };
+    if (![...Object.values(ids), ...Object.values(names)].some(Boolean)) {
+      return { line: row.line, data: fields };
+    }
+
+    const location = resolveLocationNames(names, ids);
+    if (location.error) {
+      return {
+        line: row.line,
+        data: fields,
+        errors: [{ field: "location", message: location.error }],
+      };
+    }
+    return { line: row.line, data: { ...fields, location: location.value } };
+  });
+
+  return { rows };
+};
+
+module.exports = { USER_IMPORT_COLUMNS, readUserRows };
@@ -0,0 +1,154 @@
+const { divisions, districts, upazillas } = require("bd-geojs");
+
+/**
+ * Reference documents for the locations collection.
+ * IDs are the official-order numeric IDs from the bd-geojs dataset and
+ * never change, so they are safe to store on users and blood requests.
+ */
+const LOCATION_DOCUMENTS = [
+  ...divisions.map((d) => ({
+    type: "division",
+    id: d.id,
+    parentId: null,
+    name: d.name,
+    bnName: d.bn_name,
+  })),
+  ...districts.map((d) => ({
+    type: "district",
+    id: d.id,
+    parentId: d.division_id,
+    name: d.name,
+    bnName: d.bn_name,
+  })),
+  ...upazillas.map((u) => ({
+    type: "upazila",
+    id: u.id,
+    parentId: u.district_id,
+    name: u.name,
+    bnName: u.bn_name,
+  })),
+];
+
+const byTypeAndId = new Map(
+  LOCATION_DOCUMENTS.map((doc) => [`${doc.type}:${doc.id}`, doc])
+);
+
+/**
+ * Look up a single reference entry
+ * @param {string} type - division, district or upazila
+ * @param {string} id - Stable location ID
+ * @returns {object|undefined}
+ */
+const findLocation = (type, id) => byTypeAndId.get(`${type}:${id}`);
+
+const LOCATION_TYPES = ["division", "district", "upazila"];
+
+const normalizeName = (name) => String(name).trim().toLowerCase();
+
+// English and Bangla names; a few upazila names repeat across districts
+const byTypeAndName = new Map();
+for (const doc of LOCATION_DOCUMENTS) {
+  for (const name of new Set([doc.name, doc.bnName].map(normalizeName))) {
+    const key = `${doc.type}:${name}`;
+    byTypeAndName.set(key, [...(byTypeAndName.get(key) || []), doc]);
+  }
+}
+
+/**
+ * Look up reference entries by English or Bangla name, ignoring case
+ * @param {string} type - division, district or upazila
+ * @param {string} name - Location name
+ * @param {string} [parentId] - Only match children of this entry
+ * @returns {object[]} - Matches; more than one means the name is ambiguous
+ */
+const findLocationsByName = (type, name, parentId) =>
+  (byTypeAndName.get(`${type}:${normalizeName(name)}`) || []).filter(
+    (doc) => !parentId || doc.parentId === parentId
+  );
+
+/**
+ * Turn location names (free text stored before locations had IDs) into
+ * IDs. Each level is looked up under the one above it when that is known.
+ * @param {object} names - { division, district, upazila }, any may be empty
+ * @param {object} [ids] - IDs already known, e.g. { divisionId }
+ * @returns {{ value?: object, error?: string }} - { divisionId, districtId,
+ *   upazilaId } holding only the levels that were given
+ */
+const resolveLocationNames = (names, ids = {}) => {
+  const value = {};
+  let parentId;
+  for (const type of LOCATION_TYPES) {
+    const key = `${type}Id`;
+    if (ids[key]) {
+      value[key] = String(ids[key]);
+    } else if (names[type]) {
+      const matches = findLocationsByName(type, names[type], parentId);
+      if (!matches.length) return { error: `Unknown ${type} "${names[type]}"` };
+      if (matches.length > 1) {
+        return { error: `${type} "${names[type]}" is ambiguous, use ${key}` };
+      }
+      value[key] = matches[0].id;
+    }
+    parentId = value[key];
+  }
+  return { value };
+};
+
+/**
+ * Exact location filter from ?divisionId=&districtId=&upazilaId=. The old
+ * ?division=&district=&upazila= name filters still work and are turned
+ * into IDs.
+ * @param {object} params - Query string parameters
+ * @returns {{ query?: object, error?: string }} - MongoDB query fragment
+ */
+const getLocationQuery = (params) => {
+  const { value, error } = resolveLocationNames(params, params);
+  if (error) return { error };
+
+  return {
+    query: Object.fromEntries(
+      Object.entries(value).map(([key, id]) => [`location.${key}`, id])
+    ),
+  };
+};
+
+/**
+ * Check that a location's IDs exist and belong to each other, and fill in
+ * the English names so documents stay readable without a lookup
+ * @param {object} location - { divisionId, districtId, upazilaId }
+ * @returns {{ value?: object, error?: string }}
+ */
+const resolveLocation = ({ divisionId, districtId, upazilaId }) => {
+  const division = findLocation("division", divisionId);
+  if (!division) return { error: "Unknown division" };
+
+  const district = findLocation("district", districtId);
+  if (!district || district.parentId !== division.id) {
+    return { error: "District does not belong to the selected division" };
+  }
+
+  const upazila = findLocation("upazila", upazilaId);
+  if (!upazila || upazila.parentId !== district.id) {
+    return { error: "Upazila does not belong to the selected district" };
+  }
+
+  return {
+    value: {
+      divisionId,
+      districtId,
+      upazilaId,
+      division: division.name,
+      district: district.name,
+      upazila: upazila.name,
+    },
+  };
+};
+
+module.exports = {
+  LOCATION_DOCUMENTS,
+  findLocation,
+  findLocationsByName,
+  resolveLocation,
+  resolveLocationNames,
+  getLocationQuery,
+};
@@ -0,0 +1,100 @@
+/**
+ * Delivery channel interface.
+ * A channel is any object with a `name` and an async
+ * `send(notification)` method, e.g. an email or SMS provider. Channels are
+ * best-effort: the stored in-app notification is the source of truth.
+ */
+
+/**
+ * Channel that only logs, used when no real provider is configured
+ * @returns {object} - Notification channel
+ */
+const createLogChannel = () => ({
+  name: "log",
+  send: async (notification) => {
+    console.log(
+      `[notify] ${notification.recipientEmail}: ${notification.title}`
+    );
+  },
+});
+
+/**
+ * Channel that keeps every sent notification in memory, for tests
+ * @returns {object} - Notification channel with a `sent` array
+ */
+const createMemoryChannel = () => {
+  const sent = [];
+  return {
+    name: "memory",
+    sent,
+    send: async (notification) => {
+      sent.push(notification);
+    },
+  };
+};
+
+/**
+ * Create the notification service
+ * @param {object} options - Options
+ * @param {object} options.collection - MongoDB notifications collection
+ * @param {object[]} [options.channels=[]] - Delivery channels
+ * @returns {{ notify: Function, setChannels: Function }}
+ */
+const createNotificationService = ({ collection, channels = [] }) => {
+  let activeChannels = channels;
+
+  /**
+   * Store an in-app notification and fan it out to every channel.
+   * Never throws: a failed notification must not fail the caller's request.
+   * @param {object} notification - { recipientEmail, type, title, body, data }
+   * @returns {Promise<object|null>} - Stored notification, null on failure
+   */
+  const notify = async (notification) => {
+    if (!notification.recipientEmail) return null;
+
+    try {
+      const doc = {
+        ...notification,
+        data: notification.data || {},
+        read: false,
+        readAt: null,
+        createdAt: new Date().toISOString(),
+      };
+      const { insertedId } = await collection.insertOne(doc);
+      const stored = { _id: insertedId, ...doc };
+
+      await Promise.all(
+        activeChannels.map((channel) =>
+          Promise.resolve()
+            .then(() => channel.send(stored))
+            .catch((error) => {
+              console.error(
+                `Notification channel ${channel.name} failed:`,
+                error
+              );
+            })
+        )
+      );
+      return stored;
+    } catch (error) {
+      console.error("Error creating notification:", error);
+      return null;
+    }
+  };
+
+  /**
+   * Replace the delivery channels (e.g. with a memory channel in tests)
+   * @param {object[]} nextChannels - Delivery channels
+   */
+  const setChannels = (nextChannels) => {
+    activeChannels = nextChannels;
+  };
+
+  return { notify, setChannels };
+};
+
+module.exports = {
+  createLogChannel,
+  createMemoryChannel,
+  createNotificationService,
+};
@@ -0,0 +1,122 @@
+const { getEligibility } = require("./eligibility");
+const { getAvailability } = require("./availability");
+
+// Donor profile fields anyone may see
+const PUBLIC_USER_FIELDS = [
+  "_id",
+  "name",
+  "avatar",
+  "bloodGroup",
+  "location",
+  "distanceKm",
+];
+
+// Added for viewers allowed to get in touch with the donor
+const CONTACT_USER_FIELDS = ["email", "phone"];
+
+const isStaff = (viewer) => ["admin", "volunteer"].includes(viewer?.role);
+
+const pick = (doc, fields) =>
+  Object.fromEntries(
+    fields.filter((field) => doc[field] !== undefined).map((f) => [f, doc[f]])
+  );
+
+/**
+ * Decide how much of a user document a viewer may see
+ * @param {object} user - User document
+ * @param {object|null} viewer - Signed-in user (req.user), null if anonymous
+ * @param {Set<string>} [contacts] - Donor emails the viewer has an active
+ *   request with
+ * @returns {string} - "full", "contact" or "public"
+ */
+const getUserView = (user, viewer, contacts = new Set()) => {
+  if (isStaff(viewer) || (viewer && viewer.email === user.email)) {
+    return "full";
+  }
+  if (contacts.has(user.email)) return "contact";
+  return "public";
+};
+
+/**
+ * Serialize a user document for a viewer. Staff and the user themselves
+ * get the whole document; everyone else gets the public profile plus
+ * availability, and contact details only when listed in contacts.
+ * @param {object} user - User document
+ * @param {object|null} viewer - Signed-in user (req.user), null if anonymous
+ * @param {Set<string>} [contacts] - See getUserView
+ * @returns {object}
+ */
+const serializeUser = (user, viewer, contacts) => {
+  const view = getUserView(user, viewer, contacts);
+  if (view === "full") return user;
+
+  // Available means both eligible to donate and not marked unavailable
+  const eligibility = getEligibility(user);
+  const availability = getAvailability(user);
+  const waits = [eligibility.eligibleFrom, availability.availableFrom]
+    .filter(Boolean)
+    .sort();
+  return {
+    ...pick(
+      user,
+      view === "contact"
+        ? [...PUBLIC_USER_FIELDS, ...CONTACT_USER_FIELDS]
+        : PUBLIC_USER_FIELDS
+    ),
+    available: eligibility.eligible && availability.available,
+    availableFrom: waits.length ? waits[waits.length - 1] : null,
+  };
+};
+
+/**
+ * Serialize a donor's eligibility or availability for a viewer. The reason
+ * may be medical or personal, so only staff and the donor see it; others
+ * learn whether and until when.
+ * @param {object} status - getEligibility or getAvailability result
+ * @param {object} donor - User document the status belongs to
+ * @param {object|null} viewer - Signed-in user (req.user), null if anonymous
+ * @returns {object}
+ */
+const serializeDonorStatus = (status, donor, viewer) => {
+  if (getUserView(donor, viewer) === "full") return status;
+  const { reason, ...rest } = status;
+  return rest;
+};
+
+/**
+ * Serialize a blood request for a viewer. Staff, the requester and the
+ * assigned donor see everything; others lose contact details, the
+ * volunteer list and who changed the status.
+ * @param {object} request - Blood request document
+ * @param {object|null} viewer - Signed-in user (req.user), null if anonymous
+ * @returns {object}
+ */
+const serializeBloodRequest = (request, viewer) => {
+  const participants = [request.requester?.email, request.donor?.email];
+  if (isStaff(viewer) || (viewer && participants.includes(viewer.email))) {
+    return request;
+  }
+
+  const { volunteers, deletedBy, ...rest } = request;
+  return {
+    ...rest,
+    requester: request.requester && { name: request.requester.name },
+    donor: request.donor && { name: request.donor.name },
+    status: request.status && {
+      current: request.status.current,
+      history: request.status.history?.map(({ status, changedAt }) => ({
+        status,
+        changedAt,
+      })),
+    },
+  };
+};
+
+module.exports = {
+  PUBLIC_USER_FIELDS,
+  CONTACT_USER_FIELDS,
+  getUserView,
+  serializeUser,
+  serializeDonorStatus,
+  serializeBloodRequest,
+};
@@ -0,0 +1,147 @@
+const { respond } = require("./helpers");
+
+/**
+ * Store interface.
+ * A store is any object with an async `hit(key, windowMs)` method that
+ * counts one request in the current fixed window of `key` and resolves to
+ * { count, resetAt } (resetAt in epoch milliseconds).
+ */
+
+/**
+ * Store that keeps counters in process memory. Only correct for a single
+ * long-running server instance (e.g. local development); counters reset
+ * on restart.
+ * @returns {object} - Rate limit store
+ */
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  return {
+    name: "memory",
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+
+      // Drop expired windows now and then so the map cannot grow forever
+      if (windows.size > 10000) {
+        for (const [k, e] of windows) if (e.resetAt <= now) windows.delete(k);
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+};
+
+/**
+ * Store shared by every server instance through a MongoDB collection.
+ * Needs a unique index on { key, windowStart } and a TTL index on
+ * expiresAt so old windows are removed.
+ * @param {object} options - Options
+ * @param {object} options.collection - MongoDB rate limit collection
+ * @returns {object} - Rate limit store
+ */
+const createMongoStore = ({ collection }) => ({
+  name: "mongo",
+  hit: async (key, windowMs) => {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+
+    const increment = () =>
+      collection.findOneAndUpdate(
+        { key, windowStart },
+        {
+          $inc: { count: 1 },
+          $setOnInsert: { expiresAt: new Date(resetAt) },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+
+    let entry;
+    try {
+      entry = await increment();
+    } catch (error) {
+      // Two first hits raced on the unique index; the window exists now
+      if (error?.code !== 11000) throw error;
+      entry = await increment();
+    }
+    return { count: entry.count, resetAt };
+  },
+});
+
+// Accounts are keyed case-insensitively, the way emails are stored
+const normalizeAccount = (value) =>
+  typeof value === "string" && value.trim() ? value.trim().toLowerCase() : null;
+
+/**
+ * Create the rate limiter
+ * @param {object} options - Options
+ * @param {object} options.store - Rate limit store
+ * @returns {{ limit: Function }}
+ */
+const createRateLimiter = ({ store }) => {
+  /**
+   * Middleware enforcing a policy. The caller is counted once in the IP
+   * bucket and once in the account bucket (when the policy has one and an
+   * account can be identified); going over either limit is rejected.
+   * Store failures let the request through.
+   * @param {string} name - Policy name, used in bucket keys
+   * @param {object} policy - Limits
+   * @param {number} policy.windowMs - Window length
+   * @param {number} [policy.ip] - Requests per IP per window
+   * @param {number} [policy.account] - Requests per account per window
+   * @param {Function} [policy.accountKey] - (req) => account identifier;
+   *   defaults to the signed-in user's email
+   * @param {string} [policy.message] - 429 message
+   */
+  const limit = (name, policy) => async (req, res, next) => {
+    const account = normalizeAccount(
+      policy.accountKey ? policy.accountKey(req) : req.user?.email
+    );
+    const buckets = [
+      policy.ip && { key: `${name}:ip:${req.ip}`, max: policy.ip },
+      policy.account &&
+        account && { key: `${name}:account:${account}`, max: policy.account },
+    ].filter(Boolean);
+
+    try {
+      const results = await Promise.all(
+        buckets.map(async (bucket) => ({
+          ...bucket,
+          ...(await store.hit(bucket.key, policy.windowMs)),
+        }))
+      );
+
+      const exceeded = results.filter((r) => r.count > r.max);
+      if (exceeded.length) {
+        const resetAt = Math.max(...exceeded.map((r) => r.resetAt));
+        const retryAfter = Math.max(
+          Math.ceil((resetAt - Date.now()) / 1000),
+          1
+        );
+        res.set("Retry-After", String(retryAfter));
+        return respond(
+          res,
+          429,
+          policy.message || "Too many requests, please try again later",
+          null,
+          { retryAfter }
+        );
+      }
+    } catch (error) {
+      console.error(`Rate limit store ${store.name} failed:`, error);
+    }
+    next();
+  };
+
+  return { limit };
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createRateLimiter,
+};
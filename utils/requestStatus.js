@@ -0,0 +1,143 @@
+const REQUEST_STATUSES = [
+  "pending",
+  "inprogress",
+  "completed",
+  "cancelled",
+  "expired",
+  "fulfilled-elsewhere",
+];
+
+const URGENCY_LEVELS = ["critical", "high", "normal"];
+
+/**
+ * Sort weight stored next to `urgency` so lists can order by it with a
+ * plain index. Higher is more urgent; documents without it sort last.
+ */
+const URGENCY_PRIORITY = { critical: 3, high: 2, normal: 1 };
+
+/**
+ * Blood request state machine.
+ * Every status change goes through one of these actions. `from` lists the
+ * statuses the action may start from, `actors` who may perform it:
+ * "requester" and "donor" are relationships to the request, "admin" and
+ * "volunteer" are account roles, "system" is the server itself.
+ * `guard(request, actor, changes)` is an optional extra check returning an
+ * error message or null,
+ * and `message` is the success message sent back to the client.
+ */
+const TRANSITIONS = {
+  accept: {
+    message: "Request accepted successfully",
+    from: ["pending"],
+    to: "inprogress",
+    actors: ["donor"],
+    guard: (request) =>
+      request.donor?.email ? null : "No donor is assigned to this request",
+  },
+  assignVolunteer: {
+    message: "Volunteer assigned successfully",
+    from: ["pending"],
+    to: "inprogress",
+    actors: ["requester", "admin", "volunteer"],
+    guard: (request, actor, changes) => {
+      if (!request.isOpen || request.donor?.email) {
+        return "This request already has a donor";
+      }
+      if (!changes?.donor) {
+        return "The selected donor has not volunteered for this request";
+      }
+      return null;
+    },
+  },
+  complete: {
+    message: "Request completed successfully",
+    from: ["inprogress"],
+    to: "completed",
+    actors: ["requester", "donor", "admin", "volunteer"],
+  },
+  cancel: {
+    message: "Request cancelled successfully",
+    from: ["pending", "inprogress"],
+    to: "cancelled",
+    actors: ["requester", "admin"],
+  },
+  expire: {
+    message: "Request marked as expired successfully",
+    from: ["pending"],
+    to: "expired",
+    actors: ["system", "admin", "volunteer"],
+  },
+  fulfillElsewhere: {
+    message: "Request marked as fulfilled elsewhere successfully",
+    from: ["pending", "inprogress"],
+    to: "fulfilled-elsewhere",
+    actors: ["requester", "admin", "volunteer"],
+  },
+};
+
+/**
+ * Every capacity in which an actor relates to a request
+ * @param {object} request - Blood request document
+ * @param {object} actor - { email, role } or { system: true }
+ * @returns {string[]}
+ */
+const getActorCapacities = (request, actor) => {
+  if (actor.system) return ["system"];
+
+  // The plain "donor" account role grants nothing; only being the
+  // assigned donor on this request does
+  const capacities = ["admin", "volunteer"].includes(actor.role)
+    ? [actor.role]
+    : [];
+  if (request.requester?.email === actor.email) capacities.push("requester");
+  if (request.donor?.email === actor.email) capacities.push("donor");
+  return capacities;
+};
+
+/**
+ * Check whether an action may be applied to a request by an actor
+ * @param {string} action - Key of TRANSITIONS
+ * @param {object} request - Blood request document
+ * @param {object} actor - { email, role } or { system: true }
+ * @param {object} [changes] - Extra fields the transition will set
+ * @returns {{ ok: boolean, status?: number, message?: string, from?: string, to?: string }}
+ */
+const checkTransition = (action, request, actor, changes) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { ok: false, status: 400, message: "Invalid action specified" };
+  }
+
+  const current = request.status?.current;
+  if (!transition.from.includes(current)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Cannot ${action} a request that is '${current}'`,
+    };
+  }
+
+  const capacities = getActorCapacities(request, actor);
+  if (!transition.actors.some((a) => capacities.includes(a))) {
+    return {
+      ok: false,
+      status: 403,
+      message: `Not authorized to ${action} this request`,
+    };
+  }
+
+  const guardError = transition.guard?.(request, actor, changes);
+  if (guardError) {
+    return { ok: false, status: 400, message: guardError };
+  }
+
+  return { ok: true, from: current, to: transition.to };
+};
+
+module.exports = {
+  REQUEST_STATUSES,
+  URGENCY_LEVELS,
+  URGENCY_PRIORITY,
+  TRANSITIONS,
+  checkTransition,
+};
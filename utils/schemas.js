@@ -0,0 +1,268 @@
+const { BLOOD_GROUPS } = require("./compatibility");
+const {
+  REQUEST_STATUSES,
+  TRANSITIONS,
+  URGENCY_LEVELS,
+} = require("./requestStatus");
+const { BLOG_STATUSES } = require("./blog");
+const { resolveLocation } = require("./locations");
+const { getDonationDeadline } = require("./availability");
+
+const ROLES = ["donor", "volunteer", "admin"];
+const ACCOUNT_STATUSES = ["active", "blocked"];
+
+// Locations reference the seeded locations collection by ID
+const location = (required = false) => ({
+  type: "object",
+  required,
+  fields: {
+    divisionId: { type: "string", required: true, maxLength: 10 },
+    districtId: { type: "string", required: true, maxLength: 10 },
+    upazilaId: { type: "string", required: true, maxLength: 10 },
+  },
+  refine: resolveLocation,
+});
+
+// Coordinates come in as { lng, lat } and are stored as a GeoJSON Point
+const geoPoint = () => ({
+  type: "object",
+  fields: {
+    lng: { type: "number", required: true, min: -180, max: 180 },
+    lat: { type: "number", required: true, min: -90, max: 90 },
+  },
+  refine: ({ lng, lat }) => ({
+    value: { type: "Point", coordinates: [lng, lat] },
+  }),
+});
+
+const person = (required = false) => ({
+  type: "object",
+  required,
+  fields: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "string", required: true, format: "email", lowercase: true },
+  },
+});
+
+const userSchema = {
+  name: { type: "string", required: true, minLength: 2, maxLength: 100 },
+  email: { type: "string", required: true, format: "email", lowercase: true },
+  avatar: { type: "string", format: "url" },
+  bloodGroup: { type: "string", required: true, enum: BLOOD_GROUPS },
+  phone: { type: "string", format: "phone" },
+  location: location(true),
+  geo: geoPoint(),
+  // Keeps the donor out of public search results
+  hideFromSearch: { type: "boolean", default: false },
+};
+
+const userStatusSchema = {
+  status: { type: "string", required: true, enum: ACCOUNT_STATUSES },
+};
+
+const userRoleSchema = {
+  role: { type: "string", required: true, enum: ROLES },
+};
+
+const deferralSchema = {
+  reason: { type: "string", required: true, maxLength: 300 },
+  until: { type: "date", required: true, future: true },
+};
+
+// Weekly availability windows in local time, e.g. Friday 09:00-17:00
+const availabilityWindow = {
+  type: "object",
+  required: true,
+  fields: {
+    day: { type: "integer", required: true, min: 0, max: 6 },
+    start: { type: "string", required: true, format: "time" },
+    end: { type: "string", required: true, format: "time" },
+  },
+  refine: (window) =>
+    window.start < window.end
+      ? { value: window }
+      : { error: "start must be before end" },
+};
+
+const availabilitySchema = {
+  available: { type: "boolean", required: true },
+  // Only used while available is false; empty means until further notice
+  unavailableUntil: { type: "date", future: true, nullable: true },
+  reason: { type: "string", maxLength: 300, nullable: true },
+  weekly: {
+    type: "array",
+    maxItems: 28,
+    items: availabilityWindow,
+    default: [],
+  },
+};
+
+const bloodRequestSchema = {
+  requester: person(true),
+  // Optional: requests without a donor are posted on the open board.
+  // Search results hide donor emails, so a donor can also be picked by ID.
+  donor: person(false),
+  donorId: { type: "string", minLength: 24, maxLength: 24 },
+  recipientName: { type: "string", required: true, maxLength: 100 },
+  bloodGroup: { type: "string", required: true, enum: BLOOD_GROUPS },
+  units: { type: "integer", min: 1, max: 10 },
+  location: location(true),
+  hospitalName: { type: "string", required: true, maxLength: 150 },
+  fullAddress: { type: "string", required: true, maxLength: 300 },
+  hospitalGeo: geoPoint(),
+  // Today is still allowed until the local day is over
+  donationDate: {
+    type: "date",
+    required: true,
+    refine: (date) =>
+      getDonationDeadline(date) < new Date()
+        ? { error: "the donation day is already over" }
+        : { value: date },
+  },
+  donationTime: { type: "string", format: "time" },
+  urgency: { type: "string", enum: URGENCY_LEVELS, default: "normal" },
+  // Defaults to the donation date and time when left out
+  requiredBy: { type: "date", future: true },
+  requestMessage: { type: "string", maxLength: 1000 },
+};
+
+// Details a requester or staff member may edit after creation
+const BLOOD_REQUEST_EDITABLE = [
+  "recipientName",
+  "bloodGroup",
+  "units",
+  "location",
+  "hospitalName",
+  "fullAddress",
+  "hospitalGeo",
+  "donationDate",
+  "donationTime",
+  "urgency",
+  "requiredBy",
+  "requestMessage",
+];
+
+const bloodRequestUpdateSchema = {
+  action: {
+    type: "string",
+    required: true,
+    enum: ["update", ...Object.keys(TRANSITIONS)],
+  },
+  ...Object.fromEntries(
+    BLOOD_REQUEST_EDITABLE.map((field) => [
+      field,
+      { ...bloodRequestSchema[field], required: false, default: undefined },
+    ])
+  ),
+};
+
+const assignVolunteerSchema = {
+  email: { type: "string", required: true, format: "email", lowercase: true },
+};
+
+// Bulk operations act on at most this many records per call
+const BULK_LIMIT = 500;
+
+const idList = () => ({
+  type: "array",
+  maxItems: BULK_LIMIT,
+  items: { type: "string", required: true, minLength: 24, maxLength: 24 },
+});
+
+const bulkUserSchema = {
+  action: {
+    type: "string",
+    required: true,
+    enum: ["block", "unblock", "setRole"],
+  },
+  role: { type: "string", enum: ROLES },
+  ids: idList(),
+  filter: {
+    type: "object",
+    fields: {
+      role: { type: "string", enum: ROLES },
+      accountStatus: { type: "string", enum: ACCOUNT_STATUSES },
+      bloodGroup: { type: "string", enum: BLOOD_GROUPS },
+      divisionId: { type: "string", maxLength: 10 },
+      districtId: { type: "string", maxLength: 10 },
+      upazilaId: { type: "string", maxLength: 10 },
+    },
+  },
+  dryRun: { type: "boolean", default: false },
+};
+
+const bulkBloodRequestSchema = {
+  action: { type: "string", required: true, enum: ["cancel", "expire"] },
+  ids: idList(),
+  filter: {
+    type: "object",
+    fields: {
+      status: { type: "string", enum: REQUEST_STATUSES },
+      bloodGroup: { type: "string", enum: BLOOD_GROUPS },
+      districtId: { type: "string", maxLength: 10 },
+      isOpen: { type: "boolean" },
+      requiredBefore: { type: "date" },
+    },
+  },
+  dryRun: { type: "boolean", default: false },
+};
+
+const messageSchema = {
+  name: { type: "string", required: true, maxLength: 100 },
+  email: { type: "string", required: true, format: "email", lowercase: true },
+  subject: { type: "string", maxLength: 150 },
+  message: { type: "string", required: true, minLength: 5, maxLength: 2000 },
+};
+
+const MESSAGE_STATUSES = ["unread", "read", "replied"];
+
+const messageNoteSchema = {
+  text: { type: "string", required: true, maxLength: 2000 },
+};
+
+const messageReplySchema = {
+  text: { type: "string", required: true, maxLength: 5000 },
+};
+
+const messageAssignSchema = {
+  email: { type: "string", required: true, format: "email", lowercase: true },
+};
+
+const messageArchiveSchema = {
+  archived: { type: "boolean", required: true },
+};
+
+const blogSchema = {
+  title: { type: "string", required: true, minLength: 3, maxLength: 200 },
+  content: { type: "string", required: true, maxLength: 100000 },
+  thumbnail: { type: "string", format: "url", nullable: true },
+};
+
+const blogStatusSchema = {
+  status: { type: "string", required: true, enum: BLOG_STATUSES },
+};
+
+module.exports = {
+  ROLES,
+  ACCOUNT_STATUSES,
+  userSchema,
+  userStatusSchema,
+  userRoleSchema,
+  deferralSchema,
+  availabilitySchema,
+  bloodRequestSchema,
+  BLOOD_REQUEST_EDITABLE,
+  bloodRequestUpdateSchema,
+  assignVolunteerSchema,
+  BULK_LIMIT,
+  bulkUserSchema,
+  bulkBloodRequestSchema,
+  messageSchema,
+  MESSAGE_STATUSES,
+  messageNoteSchema,
+  messageReplySchema,
+  messageAssignSchema,
+  messageArchiveSchema,
+  blogSchema,
+  blogStatusSchema,
+};
@@ -0,0 +1,212 @@
+const ACTIVE_REQUEST_STATUSES = ["pending", "inprogress"];
+
+// Soft-deleted users and requests are left out of every statistic
+const NOT_DELETED_STAGE = { $match: { deletedAt: null } };
+
+/**
+ * Match stage restricting an ISO-string date field to a range
+ * @param {string} field - Document field holding an ISO date string
+ * @param {object} range - { from, to } as ISO strings (both optional)
+ * @returns {object[]} - Zero or one $match stage
+ */
+const dateRangeStage = (field, { from, to }) =>
+  from || to
+    ? [
+        {
+          $match: {
+            [field]: {
+              ...(from && { $gte: from }),
+              ...(to && { $lte: to }),
+            },
+          },
+        },
+      ]
+    : [];
+
+/**
+ * Users counted by role and by account status
+ * @param {object} range - { from, to } on createdAt
+ * @returns {object[]} - Aggregation pipeline
+ */
+const userCountsPipeline = (range) => [
+  NOT_DELETED_STAGE,
+  ...dateRangeStage("createdAt", range),
+  {
+    $facet: {
+      byRole: [
+        {
+          $group: { _id: { $ifNull: ["$role", "donor"] }, count: { $sum: 1 } },
+        },
+      ],
+      byAccountStatus: [
+        {
+          $group: {
+            _id: { $ifNull: ["$accountStatus", "active"] },
+            count: { $sum: 1 },
+          },
+        },
+      ],
+    },
+  },
+];
+
+/**
+ * Blood requests counted by current status, plus the average time from
+ * creation (the "pending" history entry, else createdAt) to completion
+ * @param {object} range - { from, to } on createdAt
+ * @returns {object[]} - Aggregation pipeline
+ */
+const requestCountsPipeline = (range) => [
+  NOT_DELETED_STAGE,
+  ...dateRangeStage("createdAt", range),
+  {
+    $facet: {
+      byStatus: [{ $group: { _id: "$status.current", count: { $sum: 1 } } }],
+      completionTime: [
+        { $match: { "status.current": "completed" } },
+        {
+          $project: {
+            pendingEntry: {
+              $first: {
+                $filter: {
+                  input: { $ifNull: ["$status.history", []] },
+                  cond: { $eq: ["$$this.status", "pending"] },
+                },
+              },
+            },
+            completedEntry: {
+              $last: {
+                $filter: {
+                  input: { $ifNull: ["$status.history", []] },
+                  cond: { $eq: ["$$this.status", "completed"] },
+                },
+              },
+            },
+            createdAt: 1,
+          },
+        },
+        {
+          $project: {
+            start: {
+              $dateFromString: {
+                dateString: {
+                  $ifNull: ["$pendingEntry.changedAt", "$createdAt"],
+                },
+                onError: null,
+                onNull: null,
+              },
+            },
+            end: {
+              $dateFromString: {
+                dateString: "$completedEntry.changedAt",
+                onError: null,
+                onNull: null,
+              },
+            },
+          },
+        },
+        { $match: { start: { $ne: null }, end: { $ne: null } } },
+        {
+          $group: {
+            _id: null,
+            averageMs: { $avg: { $subtract: ["$end", "$start"] } },
+            count: { $sum: 1 },
+          },
+        },
+      ],
+    },
+  },
+];
+
+/**
+ * Completed donations and units per calendar month ("YYYY-MM")
+ * @param {object} range - { from, to } on donatedAt
+ * @returns {object[]} - Aggregation pipeline
+ */
+const donationsPerMonthPipeline = (range) => [
+  ...dateRangeStage("donatedAt", range),
+  { $match: { status: "completed" } },
+  {
+    $group: {
+      _id: { $substrBytes: ["$donatedAt", 0, 7] },
+      donations: { $sum: 1 },
+      units: { $sum: { $ifNull: ["$units", 1] } },
+    },
+  },
+  { $sort: { _id: 1 } },
+  { $project: { _id: 0, month: "$_id", donations: 1, units: 1 } },
+];
+
+/**
+ * Open requests grouped by blood group and district
+ * @param {object} range - { from, to } on createdAt
+ * @returns {object[]} - Aggregation pipeline
+ */
+const demandPipeline = (range) => [
+  NOT_DELETED_STAGE,
+  ...dateRangeStage("createdAt", range),
+  { $match: { "status.current": { $in: ACTIVE_REQUEST_STATUSES } } },
+  {
+    $group: {
+      _id: { bloodGroup: "$bloodGroup", district: "$location.district" },
+      count: { $sum: 1 },
+    },
+  },
+];
+
+/**
+ * Active donors grouped by blood group and district
+ * @returns {object[]} - Aggregation pipeline
+ */
+const supplyPipeline = () => [
+  NOT_DELETED_STAGE,
+  { $match: { accountStatus: "active", role: { $in: ["donor", null] } } },
+  {
+    $group: {
+      _id: { bloodGroup: "$bloodGroup", district: "$location.district" },
+      count: { $sum: 1 },
+    },
+  },
+];
+
+/**
+ * Merge demand and supply groups into one row per blood group + district
+ * @param {object[]} demand - Output of demandPipeline
+ * @param {object[]} supply - Output of supplyPipeline
+ * @returns {object[]} - { bloodGroup, district, requests, donors }
+ */
+const mergeDemandSupply = (demand, supply) => {
+  const rows = new Map();
+  const row = ({ bloodGroup = null, district = null }) => {
+    const key = `${bloodGroup}|${district}`;
+    if (!rows.has(key)) {
+      rows.set(key, { bloodGroup, district, requests: 0, donors: 0 });
+    }
+    return rows.get(key);
+  };
+
+  demand.forEach((d) => (row(d._id).requests = d.count));
+  supply.forEach((s) => (row(s._id).donors = s.count));
+
+  return [...rows.values()].sort(
+    (a, b) => b.requests - b.donors - (a.requests - a.donors)
+  );
+};
+
+/**
+ * Turn a [{ _id, count }] group result into { [_id]: count }
+ * @param {object[]} groups - $group output
+ * @returns {object}
+ */
+const toCountMap = (groups = []) =>
+  Object.fromEntries(groups.map((g) => [g._id ?? "unknown", g.count]));
+
+module.exports = {
+  userCountsPipeline,
+  requestCountsPipeline,
+  donationsPerMonthPipeline,
+  demandPipeline,
+  supplyPipeline,
+  mergeDemandSupply,
+  toCountMap,
+};
@@ -0,0 +1,197 @@
+const { respond } = require("./helpers");
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  // Bangladesh mobile numbers, with or without the +88 country code
+  phone: /^(?:\+?88)?01[3-9]\d{8}$/,
+  url: /^https?:\/\/\S+$/i,
+  time: /^([01]\d|2[0-3]):[0-5]\d$/,
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validate and normalize a single value against a field rule
+ * @param {object} rule - Field rule ({ type, required, default, enum, ... }).
+ *   Object and date rules may add `refine(value)` returning { value } or
+ *   { error }.
+ * @param {any} value - Incoming value
+ * @param {string} path - Dotted field path used in error messages
+ * @param {object} options - { partial }
+ * @param {object[]} errors - Collected { field, message } errors
+ * @returns {any} - Normalized value (undefined when invalid or absent)
+ */
+const checkField = (rule, value, path, options, errors) => {
+  const fail = (message) => {
+    errors.push({ field: path, message });
+    return undefined;
+  };
+
+  if (value === undefined || value === null || value === "") {
+    if (rule.default !== undefined && !options.partial) {
+      return rule.default;
+    }
+    if (rule.required && !options.partial) {
+      return fail(`${path} is required`);
+    }
+    return rule.nullable && value === null ? null : undefined;
+  }
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return fail(`${path} must be a string`);
+      const trimmed = value.trim();
+      if (rule.minLength && trimmed.length < rule.minLength) {
+        return fail(`${path} must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength && trimmed.length > rule.maxLength) {
+        return fail(`${path} must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.format && !FORMATS[rule.format].test(trimmed)) {
+        return fail(`${path} must be a valid ${rule.format}`);
+      }
+      if (rule.enum && !rule.enum.includes(trimmed)) {
+        return fail(`${path} must be one of: ${rule.enum.join(", ")}`);
+      }
+      return rule.lowercase ? trimmed.toLowerCase() : trimmed;
+    }
+
+    case "number":
+    case "integer": {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || Number.isNaN(number)) {
+        return fail(`${path} must be a number`);
+      }
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        return fail(`${path} must be a whole number`);
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return fail(`${path} must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return fail(`${path} must be at most ${rule.max}`);
+      }
+      return number;
+    }
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return fail(`${path} must be true or false`);
+      }
+      return value;
+
+    case "date": {
+      const date = new Date(value);
+      if (typeof value === "boolean" || Number.isNaN(date.getTime())) {
+        return fail(`${path} must be a valid date`);
+      }
+      if (rule.future && date <= new Date()) {
+        return fail(`${path} must be in the future`);
+      }
+      if (rule.refine) {
+        const refined = rule.refine(date.toISOString());
+        if (refined.error) return fail(`${path}: ${refined.error}`);
+        return refined.value;
+      }
+      return date.toISOString();
+    }
+
+    case "object": {
+      if (!isPlainObject(value)) return fail(`${path} must be an object`);
+      const before = errors.length;
+      // A nested object that is sent must be complete, even on PATCH
+      const object = checkObject(
+        rule.fields,
+        value,
+        path,
+        { ...options, partial: false },
+        errors
+      );
+
+      // Cross-field checks only run once the individual fields are valid
+      if (rule.refine && errors.length === before) {
+        const refined = rule.refine(object);
+        if (refined.error) return fail(`${path}: ${refined.error}`);
+        return refined.value;
+      }
+      return object;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) return fail(`${path} must be an array`);
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return fail(`${path} must have at most ${rule.maxItems} items`);
+      }
+      return value.map((item, i) =>
+        checkField(rule.items, item, `${path}[${i}]`, options, errors)
+      );
+    }
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validate an object against a schema, dropping fields the schema
+ * does not declare
+ * @returns {object} - Normalized object containing only known fields
+ */
+const checkObject = (schema, input, prefix, options, errors) => {
+  const output = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = checkField(rule, input[key], path, options, errors);
+    if (value !== undefined) output[key] = value;
+  }
+  return output;
+};
+
+/**
+ * Validate a payload against a declarative schema
+ * @param {object} schema - Map of field name to rule
+ * @param {object} input - Payload to validate
+ * @param {object} [options] - Options
+ * @param {string[]} [options.fields] - Top-level fields allowed on this route
+ * @param {boolean} [options.partial=false] - Skip required checks (PATCH)
+ * @returns {{ value: object, errors: object[] }}
+ */
+const validate = (schema, input, options = {}) => {
+  const errors = [];
+  if (!isPlainObject(input)) {
+    return { value: {}, errors: [{ field: "body", message: "Invalid body" }] };
+  }
+
+  const allowed = options.fields
+    ? Object.fromEntries(options.fields.map((field) => [field, schema[field]]))
+    : schema;
+
+  const value = checkObject(allowed, input, "", options, errors);
+  return { value, errors };
+};
+
+/**
+ * Middleware that validates req.body and replaces it with the normalized,
+ * allowlisted value. Fields not in the allowlist are silently dropped.
+ * @param {object} schema - Schema from utils/schemas
+ * @param {object} [options] - Same options as validate()
+ */
+const validateBody =
+  (schema, options = {}) =>
+  (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+
+    if (errors.length) {
+      return respond(res, 400, "Validation failed", errors);
+    }
+
+    if (options.partial && !Object.keys(value).length) {
+      return respond(res, 400, "No valid fields to update");
+    }
+
+    req.body = value;
+    next();
+  };
+
+module.exports = { FORMATS, validate, validateBody };